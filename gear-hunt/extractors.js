@@ -0,0 +1,173 @@
+/**
+ * Gear Hunt extractors - the search URLs and search-result selectors for each marketplace
+ *
+ * Each extract function is written as fn(document, selectors) and runs inside the page
+ * (see evaluateInPage in lib/engines/browser-common.js) or against saved HTML
+ * parsed in Node - the fixture tests in test/ run exactly what the queue
+ * processor runs. They must not reference anything outside themselves, so the
+ * selectors come in as an argument: evaluateInPage(page, extractReverb, SELECTORS.reverb).
+ * Links and images come back as written in the page; toAbsolute() resolves them.
+ */
+
+/**
+ * Selector fallback lists, shared with the selector doctor (lib/selector-doctor.js).
+ * A field takes the first element (in page order) matching any of its list.
+ * required: fields a working page fills on at least some results - all empty is drift.
+ */
+const SELECTORS = {
+  // Reverb: the first card selector that matches anything wins
+  reverb: {
+    cards: ['[role="listitem"]', '.grid-card', '[data-testid="listing-card"]', '.listing-card'],
+    firstMatchOnly: true,
+    fields: {
+      url: ['a[href*="/item/"]'],
+      title: ['h2', 'h3', '.title', '[data-testid="title"]'],
+      price: ['.price', '[data-testid="price"]', 'span[class*="price"]'],
+      image: ['img']
+    },
+    required: ['url', 'title', 'price']
+  },
+  ebay: {
+    cards: ['.s-item'],
+    fields: {
+      title: ['.s-item__title span'],
+      price: ['.s-item__price'],
+      url: ['.s-item__link']
+    },
+    required: ['title', 'price', 'url']
+  },
+  // Craigslist: the old result-row layout and the newer cl-search-result one
+  craigslist: {
+    cards: ['.result-row', '.cl-search-result'],
+    fields: {
+      title: ['.result-title', '.title'],
+      price: ['.result-price', '.price'],
+      url: ['a'],
+      location: ['.result-hood', '.location']
+    },
+    required: ['title', 'url']
+  }
+};
+
+function reverbUrl(searchTerm) {
+  return `https://reverb.com/marketplace?query=${encodeURIComponent(searchTerm)}`;
+}
+
+// Guitars & amps category
+function ebayUrl(searchTerm) {
+  return `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&_sacat=619`;
+}
+
+// site is the Craigslist subdomain ("charlotte")
+function craigslistUrl(searchTerm, site) {
+  return `https://${site}.craigslist.org/search/sss?query=${encodeURIComponent(searchTerm)}`;
+}
+
+// Reverb marketplace search results - first selector that matches anything wins
+function extractReverb(document, selectors) {
+  const results = [];
+  const find = (el, field) => el.querySelector(selectors.fields[field].join(', '));
+
+  for (const selector of selectors.cards) {
+    const elements = document.querySelectorAll(selector);
+    if (elements.length > 0) {
+      elements.forEach(el => {
+        const link = find(el, 'url');
+        const titleEl = find(el, 'title');
+        const priceEl = find(el, 'price');
+        const imgEl = find(el, 'image');
+
+        if (link && titleEl) {
+          results.push({
+            title: titleEl.textContent.trim(),
+            price: priceEl ? priceEl.textContent.trim() : 'Price not shown',
+            image: imgEl ? imgEl.getAttribute('src') : null,
+            url: link.getAttribute('href'),
+            source: 'Reverb',
+            condition: 'Used',
+            location: 'Ships nationwide'
+          });
+        }
+      });
+      break; // Found working selector
+    }
+  }
+
+  return results.slice(0, 12);
+}
+
+// eBay search results
+function extractEbay(document, selectors) {
+  const results = [];
+  const find = (el, field) => el.querySelector(selectors.fields[field].join(', '));
+  const items = document.querySelectorAll(selectors.cards.join(', '));
+
+  items.forEach((item, index) => {
+    if (index === 0) return; // Skip first (usually promo)
+
+    const titleEl = find(item, 'title');
+    const priceEl = find(item, 'price');
+    const linkEl = find(item, 'url');
+
+    if (titleEl && !titleEl.textContent.includes('Shop on eBay')) {
+      results.push({
+        title: titleEl.textContent.trim(),
+        price: priceEl ? priceEl.textContent.trim() : 'Price not shown',
+        url: linkEl ? linkEl.getAttribute('href') : null,
+        source: 'eBay',
+        condition: 'Varies',
+        location: 'Ships nationwide'
+      });
+    }
+  });
+
+  return results.slice(0, 10);
+}
+
+// Craigslist search results
+function extractCraigslist(document, selectors) {
+  const results = [];
+  const find = (el, field) => el.querySelector(selectors.fields[field].join(', '));
+  const listings = document.querySelectorAll(selectors.cards.join(', '));
+
+  listings.forEach(item => {
+    const titleEl = find(item, 'title');
+    const priceEl = find(item, 'price');
+    const linkEl = find(item, 'url');
+    const locationEl = find(item, 'location');
+
+    if (titleEl) {
+      results.push({
+        title: titleEl.textContent.trim(),
+        price: priceEl ? priceEl.textContent.trim() : 'Contact for price',
+        url: linkEl ? linkEl.getAttribute('href') : null,
+        source: 'Craigslist',
+        condition: 'Used',
+        location: locationEl ? locationEl.textContent.trim() : 'Local'
+      });
+    }
+  });
+
+  return results.slice(0, 10);
+}
+
+// Resolve each result's url and image against the page it came from
+function toAbsolute(items, pageUrl) {
+  const resolve = (href) => (href ? new URL(href, pageUrl).href : href);
+  return items.map(item => ({
+    ...item,
+    url: resolve(item.url),
+    ...(item.image !== undefined ? { image: resolve(item.image) } : {})
+  }));
+}
+
+module.exports = {
+  SELECTORS,
+  reverbUrl,
+  ebayUrl,
+  craigslistUrl,
+  extractReverb,
+  extractEbay,
+  extractCraigslist,
+  toAbsolute
+};
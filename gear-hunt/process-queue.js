@@ -3,11 +3,22 @@
  * Gear Hunt Queue Processor - Runs via cron every 10 minutes
  * Uses puppeteer-extra with stealth plugin to avoid detection
  * Hardened against prompt injection attacks
+ *
+ * Usage:
+ *   node process-queue.js                  process the next queued search
+ *   node process-queue.js --record run.har also save every response it gets to a HAR archive
+ *   node process-queue.js --replay run.har run the recorded search again offline, from the archive;
+ *                                          the queue, gear.json and git are left alone
  */
 
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const {
+  SELECTORS, reverbUrl, ebayUrl, craigslistUrl, extractReverb, extractEbay, extractCraigslist, toAbsolute
+} = require('./extractors');
+const { evaluateInPage, recordResponses, replayRequests } = require('../lib/engines/browser-common');
+const { openSession, closeSession } = require('../lib/session-archive');
 
 // SECURITY: Input validation and sanitization
 const SECURITY = {
@@ -106,6 +117,9 @@ const QUEUE_FILE = path.join(__dirname, 'search-queue.json');
 const GEAR_FILE = path.join(__dirname, 'gear.json');
 const REPO_PATH = '/home/mihr/.openclaw/workspace/willy-site';
 
+// Set from --record / --replay at startup; every page is recorded or replayed through it
+let session = { recorder: null, replayer: null };
+
 // Update queue status
 function updateQueueStatus(updates) {
   const queue = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
@@ -151,6 +165,14 @@ async function initBrowser() {
   });
 }
 
+// New tab, recording or replaying when the run asks for it
+async function openPage(browser) {
+  const page = await browser.newPage();
+  if (session.recorder) recordResponses(page, session.recorder);
+  if (session.replayer) await replayRequests(page, session.replayer);
+  return page;
+}
+
 // Scrape Reverb with stealth
 async function scrapeReverb(browser, searchTerm, onProgress) {
   const listings = [];
@@ -158,14 +180,14 @@ async function scrapeReverb(browser, searchTerm, onProgress) {
   
   try {
     onProgress(10, 'Loading Reverb...');
-    page = await browser.newPage();
+    page = await openPage(browser);
     
     // Set viewport and user agent
     await page.setViewport({ width: 1920, height: 1080 });
     await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
     
     // Navigate to search
-    const url = `https://reverb.com/marketplace?query=${encodeURIComponent(searchTerm)}`;
+    const url = reverbUrl(searchTerm);
     await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
     
     onProgress(25, 'Waiting for results...');
@@ -180,51 +202,17 @@ async function scrapeReverb(browser, searchTerm, onProgress) {
     onProgress(40, 'Extracting listings...');
     
     // Extract listings with multiple selector strategies
-    const items = await page.evaluate(() => {
-      const results = [];
-      
-      // Try different selectors
-      const selectors = [
-        '[role="listitem"]',
-        '.grid-card',
-        '[data-testid="listing-card"]',
-        '.listing-card'
-      ];
-      
-      for (const selector of selectors) {
-        const elements = document.querySelectorAll(selector);
-        if (elements.length > 0) {
-          elements.forEach(el => {
-            const link = el.querySelector('a[href*="/item/"]');
-            const titleEl = el.querySelector('h2, h3, .title, [data-testid="title"]');
-            const priceEl = el.querySelector('.price, [data-testid="price"], span[class*="price"]');
-            const imgEl = el.querySelector('img');
-            
-            if (link && titleEl) {
-              results.push({
-                title: titleEl.textContent.trim(),
-                price: priceEl ? priceEl.textContent.trim() : 'Price not shown',
-                image: imgEl ? imgEl.src : null,
-                url: link.href,
-                source: 'Reverb',
-                condition: 'Used',
-                location: 'Ships nationwide'
-              });
-            }
-          });
-          break; // Found working selector
-        }
-      }
-      
-      return results.slice(0, 12);
-    });
+    const items = toAbsolute(await evaluateInPage(page, extractReverb, SELECTORS.reverb), page.url());
     
     listings.push(...items);
     onProgress(60, `Found ${listings.length} on Reverb`);
   } catch (e) {
     console.log('Reverb error:', e.message);
   } finally {
-    if (page) await page.close();
+    if (page) {
+      if (session.recorder) await session.recorder.settle();
+      await page.close();
+    }
   }
   
   return listings;
@@ -237,48 +225,27 @@ async function scrapeEbay(browser, searchTerm, zipCode, onProgress) {
   
   try {
     onProgress(65, 'Loading eBay...');
-    page = await browser.newPage();
+    page = await openPage(browser);
     
     await page.setViewport({ width: 1920, height: 1080 });
     await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
     
-    const url = `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&_sacat=619`;
+    const url = ebayUrl(searchTerm);
     await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
     
     onProgress(75, 'Extracting eBay listings...');
     
-    const items = await page.evaluate(() => {
-      const results = [];
-      const items = document.querySelectorAll('.s-item');
-      
-      items.forEach((item, index) => {
-        if (index === 0) return; // Skip first (usually promo)
-        
-        const titleEl = item.querySelector('.s-item__title span');
-        const priceEl = item.querySelector('.s-item__price');
-        const linkEl = item.querySelector('.s-item__link');
-        
-        if (titleEl && !titleEl.textContent.includes('Shop on eBay')) {
-          results.push({
-            title: titleEl.textContent.trim(),
-            price: priceEl ? priceEl.textContent.trim() : 'Price not shown',
-            url: linkEl ? linkEl.href : null,
-            source: 'eBay',
-            condition: 'Varies',
-            location: 'Ships nationwide'
-          });
-        }
-      });
-      
-      return results.slice(0, 10);
-    });
+    const items = toAbsolute(await evaluateInPage(page, extractEbay, SELECTORS.ebay), page.url());
     
     listings.push(...items);
     onProgress(85, `Found ${listings.length} on eBay`);
   } catch (e) {
     console.log('eBay error:', e.message);
   } finally {
-    if (page) await page.close();
+    if (page) {
+      if (session.recorder) await session.recorder.settle();
+      await page.close();
+    }
   }
   
   return listings;
@@ -381,45 +348,25 @@ async function scrapeCraigslist(browser, searchTerm, zipCode, onProgress) {
     const subdomain = getCraigslistSubdomain(zipCode);
     onProgress(67, `Loading Craigslist ${subdomain}...`);
     
-    page = await browser.newPage();
+    page = await openPage(browser);
     await page.setViewport({ width: 1920, height: 1080 });
     
-    const url = `https://${subdomain}.craigslist.org/search/sss?query=${encodeURIComponent(searchTerm)}`;
+    const url = craigslistUrl(searchTerm, subdomain);
     await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
     
     onProgress(80, 'Extracting Craigslist listings...');
     
-    const items = await page.evaluate(() => {
-      const results = [];
-      const listings = document.querySelectorAll('.result-row, .cl-search-result');
-      
-      listings.forEach(item => {
-        const titleEl = item.querySelector('.result-title, .title');
-        const priceEl = item.querySelector('.result-price, .price');
-        const linkEl = item.querySelector('a');
-        const locationEl = item.querySelector('.result-hood, .location');
-        
-        if (titleEl) {
-          results.push({
-            title: titleEl.textContent.trim(),
-            price: priceEl ? priceEl.textContent.trim() : 'Contact for price',
-            url: linkEl ? linkEl.href : null,
-            source: 'Craigslist',
-            condition: 'Used',
-            location: locationEl ? locationEl.textContent.trim() : 'Local'
-          });
-        }
-      });
-      
-      return results.slice(0, 10);
-    });
+    const items = toAbsolute(await evaluateInPage(page, extractCraigslist, SELECTORS.craigslist), page.url());
     
     listings.push(...items);
     onProgress(88, `Found ${listings.length} on Craigslist`);
   } catch (e) {
     console.log('Craigslist error:', e.message);
   } finally {
-    if (page) await page.close();
+    if (page) {
+      if (session.recorder) await session.recorder.settle();
+      await page.close();
+    }
   }
   
   return listings;
@@ -458,12 +405,14 @@ function gitPush(message) {
 }
 
 // Process one search
-async function processSearch(browser, search) {
+// options.dryRun: only log progress and return the results - no queue status, no gear.json
+async function processSearch(browser, search, options = {}) {
   console.log(`\n🔍 Processing: "${search.term}" in ZIP ${search.zip}`);
   
   // Progress callback
   const onProgress = (percent, message) => {
     console.log(`  ${percent}% - ${message}`);
+    if (options.dryRun) return;
     updateQueueStatus({ 
       currentProgress: percent, 
       statusMessage: message 
@@ -489,13 +438,15 @@ async function processSearch(browser, search) {
     onProgress(90, 'Finding best prices...');
     const top3 = getTop3Cheapest(allListings);
     
-    onProgress(95, 'Saving results...');
-    saveGearResults(search.term, search.zip, top3);
+    if (!options.dryRun) {
+      onProgress(95, 'Saving results...');
+      saveGearResults(search.term, search.zip, top3);
+    }
     
     onProgress(100, 'Complete!');
     console.log(`  ✅ Found ${top3.length} results`);
     
-    return { success: true, count: top3.length };
+    return { success: true, count: top3.length, found: allListings, listings: top3 };
   } catch (error) {
     console.error('  ❌ Error:', error.message);
     return { success: false, error: error.message };
@@ -503,7 +454,7 @@ async function processSearch(browser, search) {
 }
 
 // Main processor
-async function processQueue() {
+async function processQueue(options = {}) {
   const queue = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
   
   if (!queue.pendingSearches || queue.pendingSearches.length === 0) {
@@ -529,6 +480,8 @@ async function processQueue() {
     return;
   }
   
+  if (session.recorder) session.recorder.meta.search = search;
+  
   queue.processing = search;
   queue.currentProgress = 0;
   queue.statusMessage = 'Starting...';
@@ -550,6 +503,7 @@ async function processQueue() {
   
   // Process it
   const result = await processSearch(browser, search);
+  await closeSession(session, options);
   
   // Close browser
   await browser.close();
@@ -587,8 +541,69 @@ async function processQueue() {
   console.log('========================\n');
 }
 
+// Run a recorded search again from its archive - nothing touches the network, the queue or git
+async function replaySearch(options) {
+  const recorded = session.replayer.meta.search;
+  if (!recorded) {
+    throw new Error(`${options.replay} has no recorded search - record one with --record`);
+  }
+  // The archive is just a file; its search term gets the same checks as the queue's
+  const search = SECURITY.validateQueueEntry({ ...recorded });
+  
+  console.log(`\n⏪ Replaying ${options.replay}`);
+  const browser = await initBrowser();
+  let result;
+  try {
+    result = await processSearch(browser, search, { dryRun: true });
+    await closeSession(session, options);
+  } finally {
+    await browser.close();
+  }
+  
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  console.log(`\n${result.found.length} listings found (dry run, nothing saved):`);
+  for (const item of result.found) {
+    console.log(`  ${item.source}  ${item.price}  ${item.title}  ${item.url}`);
+  }
+  console.log(`\nCheapest: ${result.listings.map(item => `${item.price} (${item.source})`).join(', ') || 'none'}`);
+}
+
+// Read --record FILE / --replay FILE
+function parseArgs(argv) {
+  const options = { record: null, replay: null, sessionMeta: { command: 'process-queue' } };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') {
+      options.record = path.resolve(argv[++i]);
+    } else if (arg === '--replay') {
+      options.replay = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  
+  if (options.record && options.replay) {
+    throw new Error('Use --record or --replay, not both');
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  session = openSession(options);
+  
+  if (options.replay) {
+    await replaySearch(options);
+  } else {
+    await processQueue(options);
+  }
+}
+
 // Run
-processQueue().catch(err => {
+main().catch(err => {
   console.error('Fatal error:', err);
   process.exit(1);
 });
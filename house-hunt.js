@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * House Hunter - Realtor.com and Redfin scraper
+ *
+ * Usage:
+ *   node house-hunt.js [--profile id,id] [--engine puppeteer-stealth|playwright|fetch] [--sources realtor,redfin]
+ *                      [--browser-url http://127.0.0.1:9222] [--cookies cookies.txt | --no-cookies] [--no-enrich]
+ *                      [--record run.har | --replay run.har]
+ *
+ * Profiles:
+ *   Named search criteria from profiles.json, each saved to its own listings file.
+ *   Every profile is run unless --profile picks some.
+ *
+ * Attaching to Chrome:
+ *   Headless Chromium is blocked by Kasada; a real Chrome started with
+ *   --remote-debugging-port=9222 is not. With --browser-url the browser engines open
+ *   their own tabs in that Chrome and close only those. If nothing answers at the URL
+ *   they launch headless Chromium as usual.
+ *
+ * Cookies:
+ *   The browser engines start from CONFIG.cookieFile (a Netscape cookies.txt) and write
+ *   the refreshed cookies back when the run ends, so Kasada's KP_UIDz carries over.
+ *   Not when attached - a real Chrome keeps its own cookies. The jar lives outside the
+ *   site repo (~/.house-hunt/cookies.txt): everything pushed there is public.
+ *
+ * Record and replay:
+ *   --record FILE writes every response the run gets to a HAR archive. --replay FILE runs
+ *   again from that archive with no network: each request gets the response it got when
+ *   recorded, so a markup change can be debugged offline against exactly what the site
+ *   served. A replay is a dry run - it prints what it found and saves, pushes and
+ *   records nothing. Replay with the same profiles, sources and engine you recorded with.
+ *
+ * Pacing:
+ *   Each profile's searches run CONFIG.concurrency at a time, following up to
+ *   CONFIG.maxPages result pages each. A host gets one request at a time, hostDelayMs plus
+ *   a random 0..jitterMs after its last page, so Realtor and Redfin load side by side but
+ *   neither is hammered. After timeBudgetMinutes (for the whole run, all profiles) no new
+ *   page is requested: the searches left are recorded as timed out, the listings left
+ *   unenriched, and what was found is saved as usual.
+ *
+ * Blocked pages:
+ *   A search page is blocked when it answers 403/404/429/503 or, with no cards, shows a
+ *   Kasada, Cloudflare or captcha challenge (lib/bot-check.js); a page with no cards and
+ *   no challenge - the Kasada SDK script alone isn't one - is just empty. A blocked page is tried again CONFIG.blockRetries times
+ *   with exponential backoff, each in a fresh browser context. A run where nothing loaded
+ *   leaves the listings file untouched - not even lastChecked - and one where some
+ *   searches were blocked merges even in 'replace' mode, so a block never overwrites
+ *   good data. scrape-status.json records what blocked each search.
+ *
+ * Engines:
+ *   puppeteer-stealth  puppeteer-extra with the stealth plugin (default)
+ *   playwright         Playwright Chromium, images/fonts blocked
+ *   fetch              Plain HTTP + HTML parsing, no browser - fast, but sees only server-rendered HTML
+ */
+
+const path = require('path');
+const { CONFIG } = require('./lib/house-config');
+const { ENGINE_NAMES, DEFAULT_ENGINE, createEngine } = require('./lib/engines');
+const { SOURCE_NAMES } = require('./lib/sources');
+const { loadProfiles, getProfile, profileConfig } = require('./lib/profiles');
+const { runHouseHunt } = require('./lib/house-hunt');
+const { pacedEngine } = require('./lib/crawl-pool');
+
+// Read --engine NAME / --engine=NAME, --sources a,b, --profile a,b and flags
+// sources and profiles stay null unless given: each profile's own sources, every profile
+function parseArgs(argv) {
+  const options = {
+    engine: DEFAULT_ENGINE,
+    sources: null,
+    profiles: null,
+    browserUrl: CONFIG.browserUrl,
+    cookieFile: CONFIG.cookieFile,
+    enrich: CONFIG.enrichDetails,
+    record: null,
+    replay: null
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--engine') {
+      options.engine = argv[++i];
+    } else if (arg.startsWith('--engine=')) {
+      options.engine = arg.slice('--engine='.length);
+    } else if (arg === '--sources') {
+      options.sources = argv[++i].split(',');
+    } else if (arg.startsWith('--sources=')) {
+      options.sources = arg.slice('--sources='.length).split(',');
+    } else if (arg === '--profile') {
+      options.profiles = argv[++i].split(',');
+    } else if (arg.startsWith('--profile=')) {
+      options.profiles = arg.slice('--profile='.length).split(',');
+    } else if (arg === '--browser-url') {
+      options.browserUrl = argv[++i];
+    } else if (arg.startsWith('--browser-url=')) {
+      options.browserUrl = arg.slice('--browser-url='.length);
+    } else if (arg === '--cookies') {
+      options.cookieFile = path.resolve(argv[++i]);
+    } else if (arg.startsWith('--cookies=')) {
+      options.cookieFile = path.resolve(arg.slice('--cookies='.length));
+    } else if (arg === '--no-cookies') {
+      options.cookieFile = null;
+    } else if (arg === '--record') {
+      options.record = path.resolve(argv[++i]);
+    } else if (arg.startsWith('--record=')) {
+      options.record = path.resolve(arg.slice('--record='.length));
+    } else if (arg === '--replay') {
+      options.replay = path.resolve(argv[++i]);
+    } else if (arg.startsWith('--replay=')) {
+      options.replay = path.resolve(arg.slice('--replay='.length));
+    } else if (arg === '--no-enrich') {
+      options.enrich = false;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  
+  if (!ENGINE_NAMES.includes(options.engine)) {
+    throw new Error(`Unknown engine "${options.engine}" (expected ${ENGINE_NAMES.join(', ')})`);
+  }
+  if (options.browserUrl && options.engine === 'fetch') {
+    throw new Error('--browser-url needs a browser engine (puppeteer-stealth or playwright)');
+  }
+  if (options.record && options.replay) {
+    throw new Error('Use --record or --replay, not both');
+  }
+  const unknown = (options.sources || []).filter(name => !SOURCE_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown source "${unknown[0]}" (expected ${SOURCE_NAMES.join(', ')})`);
+  }
+  return options;
+}
+
+// Main
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const data = loadProfiles();
+  const profiles = options.profiles
+    ? options.profiles.map(id => getProfile(data, id))
+    : data.profiles;
+  
+  console.log(`🏠 House Hunt - ${profiles.map(p => p.name).join(', ')} (${options.engine})`);
+  console.log('====================================');
+  console.log(`Time: ${new Date().toISOString()}\n`);
+  
+  if (options.replay) console.log(`Replaying ${options.replay} - nothing will be saved\n`);
+  
+  // One time budget and one set of per-host queues for every profile in the run;
+  // a replay has nothing to wait for - the archive answers straight away
+  const engine = pacedEngine(await createEngine(options.engine, {
+    browserUrl: options.browserUrl,
+    cookieFile: options.cookieFile,
+    record: options.record,
+    replay: options.replay,
+    sessionMeta: { command: 'house-hunt', argv }
+  }), options.replay ? { ...CONFIG, hostDelayMs: 0, jitterMs: 0 } : CONFIG);
+  try {
+    for (const profile of profiles) {
+      const config = profileConfig(CONFIG, profile);
+      if (options.sources) config.sources = options.sources;
+      config.enrichDetails = options.enrich;
+      if (options.replay) {
+        config.dryRun = true;
+        config.blockBackoffMs = 0;
+      }
+      
+      console.log(`\n🔍 ${profile.name}: ${config.sources.join(' + ')} -> ${config.listingsFile}`);
+      await runHouseHunt(engine, config, (msg) => console.log(`  ${msg}`));
+    }
+  } finally {
+    await engine.close();
+  }
+  
+  console.log('\nDone.');
+}
+
+module.exports = { main, parseArgs };
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
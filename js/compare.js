@@ -0,0 +1,72 @@
+/**
+ * Compare - side-by-side table rows for two to four homes
+ *
+ * Each row knows how to read its value from a listing and which direction is
+ * better, so the page can highlight the best home in every row.
+ * Load js/listing-values.js and js/monthly-cost.js first.
+ */
+
+const Compare = (() => {
+    const Values = typeof ListingValues !== 'undefined' ? ListingValues : require('./listing-values');
+    const Cost = typeof MonthlyCost !== 'undefined' ? MonthlyCost : require('./monthly-cost');
+    const MAX_HOMES = 4;
+    const { lotSqft } = Values;
+
+    function pricePerSqft(listing) {
+        return typeof listing.price === 'number' && listing.sqft ? listing.price / listing.sqft : null;
+    }
+
+    // better: 'low' or 'high' wins; null means the row is not scored
+    // settings are the monthly cost assumptions in use on the page
+    const ROWS = [
+        { label: 'Price', better: 'low', value: l => l.price, format: v => `$${v.toLocaleString()}` },
+        { label: 'Monthly cost', better: 'low', value: (l, settings) => { const c = Cost.monthlyCost(l, settings); return c ? c.total : null; }, format: v => `$${Math.round(v).toLocaleString()}/mo` },
+        { label: 'Beds', better: 'high', value: l => l.beds, format: v => String(v) },
+        { label: 'Baths', better: 'high', value: l => l.baths, format: v => String(v) },
+        { label: 'Sqft', better: 'high', value: l => l.sqft, format: v => v.toLocaleString() },
+        { label: 'Price per sqft', better: 'low', value: pricePerSqft, format: v => `$${Math.round(v).toLocaleString()}` },
+        { label: 'Lot size', better: 'high', value: l => lotSqft(l.lotSize), text: l => l.lotSize },
+        { label: 'Year built', better: 'high', value: l => l.yearBuilt, format: v => String(v) },
+        { label: 'HOA', better: 'low', value: l => Cost.hoaMonthly(l), text: l => l.hoa || 'None' },
+        { label: 'Description', better: null, text: l => l.description }
+    ];
+
+    // Indexes of the best value in a row; nothing is highlighted when all known values tie
+    function bestIndexes(values, better) {
+        if (!better) return [];
+        const known = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+        if (known.length < 2) return [];
+        const best = better === 'low' ? Math.min(...known) : Math.max(...known);
+        if (known.every(v => v === best)) return [];
+        return values.map((v, i) => (v === best ? i : -1)).filter(i => i >= 0);
+    }
+
+    /**
+     * Table model for the given listings:
+     * [{ label, cells: [{ text, best }] }]
+     */
+    function buildRows(listings, settings) {
+        return ROWS.map(row => {
+            const values = listings.map(l => (row.value ? row.value(l, settings) : null));
+            const best = bestIndexes(values, row.better);
+            const cells = listings.map((l, i) => {
+                const value = values[i];
+                let text = row.text ? row.text(l) : null;
+                if (!text && value !== null && value !== undefined && row.format) text = row.format(value);
+                return { text: text || '—', best: best.includes(i) };
+            });
+            return { label: row.label, cells };
+        });
+    }
+
+    // Parse "?compare=id1,id2" into at most MAX_HOMES IDs
+    function idsFromQuery(search) {
+        const value = new URLSearchParams(search).get('compare');
+        if (!value) return [];
+        return [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))].slice(0, MAX_HOMES);
+    }
+
+    return { MAX_HOMES, lotSqft, pricePerSqft, ROWS, bestIndexes, buildRows, idsFromQuery };
+})();
+
+if (typeof module !== 'undefined') module.exports = Compare;
@@ -0,0 +1,54 @@
+/**
+ * Listing values - numbers read out of a listing's text fields
+ *
+ * One implementation for the scrapers (lib/listing-schema.js, lib/criteria.js) and the
+ * site (js/monthly-cost.js, js/compare.js), so a lot size or HOA never reads two ways.
+ * Loaded by the site pages with <script src="js/listing-values.js">; also require()-able from Node.
+ */
+
+const ListingValues = (() => {
+    const SQFT_PER_ACRE = 43560;
+
+    // A saved HOA: "$150/mo" or "$1,800/year"
+    const HOA_PATTERN = /^\$\d[\d,]*(?:\.\d{2})?\/(?:mo|year)$/;
+
+    // Parse a number out of scraped text like "$350,000" or "2,049 sqft"
+    function parseNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string') return null;
+        const match = value.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : null;
+    }
+
+    // Monthly HOA amount from saved HOA text ("$1,800/year" -> 150, no HOA -> null)
+    function hoaMonthly(hoa) {
+        if (typeof hoa !== 'string' || !HOA_PATTERN.test(hoa)) return null;
+        const amount = parseNumber(hoa);
+        return hoa.endsWith('/year') ? Math.round(amount / 12 * 100) / 100 : amount;
+    }
+
+    // "1.6 acres" / "0.25 acre" / "10,890 sqft" -> { amount, acres }, or null when unreadable
+    function readLot(lotSize) {
+        const match = String(lotSize || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(acres?|sq)/i);
+        if (!match) return null;
+        return { amount: parseFloat(match[1]), acres: /^acre/i.test(match[2]) };
+    }
+
+    // Lot size text in acres ("1.6 acres" -> 1.6, "10,890 sqft" -> 0.25, unreadable -> null)
+    function lotAcres(lotSize) {
+        const lot = readLot(lotSize);
+        if (!lot) return null;
+        return lot.acres ? lot.amount : Math.round(lot.amount / SQFT_PER_ACRE * 100) / 100;
+    }
+
+    // Lot size text in square feet ("1.6 acres" -> 69696, unreadable -> null)
+    function lotSqft(lotSize) {
+        const lot = readLot(lotSize);
+        if (!lot) return null;
+        return lot.acres ? lot.amount * SQFT_PER_ACRE : lot.amount;
+    }
+
+    return { SQFT_PER_ACRE, HOA_PATTERN, parseNumber, hoaMonthly, lotAcres, lotSqft };
+})();
+
+if (typeof module !== 'undefined') module.exports = ListingValues;
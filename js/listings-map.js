@@ -0,0 +1,163 @@
+/**
+ * Listings map - listing markers on a plain SVG basemap, no third-party map service
+ *
+ * The basemap is a Web Mercator projection with a lat/lng grid and landmark labels.
+ * To draw real map tiles underneath, put a tile set in the site (tiles/{z}/{x}/{y}.png)
+ * and set MAP_CONFIG.tiles to its URL template.
+ */
+
+const ListingsMap = (() => {
+    const MAP_CONFIG = {
+        tiles: null,            // e.g. 'tiles/{z}/{x}/{y}.png' - served from this site
+        zoom: 11,               // tile zoom level (also sets the projection scale)
+        padding: 0.08,          // share of the map kept clear around the points
+        landmarks: [
+            { name: 'Clover', lat: 35.1112, lng: -81.2265 },
+            { name: 'York', lat: 34.9943, lng: -81.2420 },
+            { name: 'Rock Hill', lat: 34.9249, lng: -81.0251 },
+            { name: 'Lancaster', lat: 34.7204, lng: -80.7709 },
+            { name: 'Lake Wylie', lat: 35.1082, lng: -81.0423, water: true },
+            { name: 'Buster Boyd Bridge', lat: 35.1076, lng: -81.0340, bridge: true },
+            { name: 'Charlotte', lat: 35.2271, lng: -80.8431 }
+        ]
+    };
+
+    const TILE_SIZE = 256;
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Web Mercator: lat/lng -> pixel position in the world at the configured zoom
+    function project(lat, lng, zoom) {
+        const scale = TILE_SIZE * Math.pow(2, zoom);
+        const sin = Math.sin(lat * Math.PI / 180);
+        return {
+            x: (lng + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+        };
+    }
+
+    function hasLocation(listing) {
+        return typeof listing.latitude === 'number' && typeof listing.longitude === 'number';
+    }
+
+    function el(name, attrs = {}, text) {
+        const node = document.createElementNS(SVG_NS, name);
+        Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    // Pixel box around every point, padded so markers at the edge stay visible
+    function viewBox(points, padding) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(Math.max(...xs) - minX, 1);
+        const height = Math.max(Math.max(...ys) - minY, 1);
+        const pad = Math.max(width, height) * padding;
+        return { x: minX - pad, y: minY - pad, width: width + 2 * pad, height: height + 2 * pad };
+    }
+
+    function drawTiles(svg, box, config) {
+        const z = config.zoom;
+        for (let tx = Math.floor(box.x / TILE_SIZE); tx <= Math.floor((box.x + box.width) / TILE_SIZE); tx++) {
+            for (let ty = Math.floor(box.y / TILE_SIZE); ty <= Math.floor((box.y + box.height) / TILE_SIZE); ty++) {
+                svg.appendChild(el('image', {
+                    href: config.tiles.replace('{z}', z).replace('{x}', tx).replace('{y}', ty),
+                    x: tx * TILE_SIZE, y: ty * TILE_SIZE, width: TILE_SIZE, height: TILE_SIZE
+                }));
+            }
+        }
+    }
+
+    // Plain basemap: background plus a 0.1 degree grid
+    function drawGrid(svg, box, config, unit) {
+        svg.appendChild(el('rect', { x: box.x, y: box.y, width: box.width, height: box.height, class: 'map-land' }));
+
+        const step = 0.1;
+        const world = TILE_SIZE * Math.pow(2, config.zoom);
+        const toLng = (x) => x / world * 360 - 180;
+        const toLat = (y) => {
+            const n = Math.PI - 2 * Math.PI * y / world;
+            return 180 / Math.PI * Math.atan(Math.sinh(n));
+        };
+
+        for (let lng = Math.ceil(toLng(box.x) / step) * step; lng < toLng(box.x + box.width); lng += step) {
+            const { x } = project(0, lng, config.zoom);
+            svg.appendChild(el('line', { x1: x, y1: box.y, x2: x, y2: box.y + box.height, class: 'map-grid' }));
+            svg.appendChild(el('text', { x: x + unit * 3, y: box.y + box.height - unit * 4, class: 'map-grid-label', 'font-size': unit * 9 }, lng.toFixed(1)));
+        }
+        for (let lat = Math.ceil(toLat(box.y + box.height) / step) * step; lat < toLat(box.y); lat += step) {
+            const { y } = project(lat, 0, config.zoom);
+            svg.appendChild(el('line', { x1: box.x, y1: y, x2: box.x + box.width, y2: y, class: 'map-grid' }));
+            svg.appendChild(el('text', { x: box.x + unit * 4, y: y - unit * 3, class: 'map-grid-label', 'font-size': unit * 9 }, lat.toFixed(1)));
+        }
+    }
+
+    function drawLandmarks(svg, config, unit) {
+        config.landmarks.forEach(landmark => {
+            const { x, y } = project(landmark.lat, landmark.lng, config.zoom);
+            const kind = landmark.water ? 'water' : landmark.bridge ? 'bridge' : 'town';
+            svg.appendChild(el('circle', { cx: x, cy: y, r: unit * (landmark.water ? 14 : 4), class: `map-landmark ${kind}` }));
+            svg.appendChild(el('text', { x: x + unit * 7, y: y - unit * 6, class: `map-landmark-label ${kind}`, 'font-size': unit * 12 }, landmark.name));
+        });
+    }
+
+    /**
+     * Draw the map into container.
+     * options.onSelect(listing) is called when a marker is clicked.
+     * Returns the number of listings that had no location and were left off.
+     */
+    function render(container, listings, options = {}) {
+        const config = { ...MAP_CONFIG, ...(options.config || {}) };
+        const located = listings.filter(hasLocation);
+
+        const points = [
+            ...located.map(l => project(l.latitude, l.longitude, config.zoom)),
+            ...config.landmarks.map(l => project(l.lat, l.lng, config.zoom))
+        ];
+        const box = viewBox(points, config.padding);
+        const unit = box.width / 1000; // keeps markers and labels the same size at any extent
+
+        const svg = el('svg', {
+            viewBox: `${box.x} ${box.y} ${box.width} ${box.height}`,
+            preserveAspectRatio: 'xMidYMid meet',
+            class: 'map-svg',
+            role: 'img',
+            'aria-label': 'Map of listings'
+        });
+
+        if (config.tiles) drawTiles(svg, box, config);
+        else drawGrid(svg, box, config, unit);
+        drawLandmarks(svg, config, unit);
+
+        located.forEach(listing => {
+            const { x, y } = project(listing.latitude, listing.longitude, config.zoom);
+            const marker = el('circle', {
+                cx: x, cy: y, r: unit * 8,
+                class: `map-marker${listing.offMarket ? ' off-market' : ''}${listing.hoa ? ' has-hoa' : ''}`,
+                tabindex: 0,
+                'data-id': listing.id
+            });
+            marker.appendChild(el('title', {}, `${listing.address} - ${typeof listing.price === 'number' ? '$' + listing.price.toLocaleString() : 'price not shown'}`));
+            const select = () => {
+                svg.querySelectorAll('.map-marker.selected').forEach(m => m.classList.remove('selected'));
+                marker.classList.add('selected');
+                if (options.onSelect) options.onSelect(listing);
+            };
+            marker.addEventListener('click', select);
+            marker.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') select();
+            });
+            svg.appendChild(marker);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(svg);
+        return listings.length - located.length;
+    }
+
+    return { MAP_CONFIG, project, hasLocation, render };
+})();
+
+if (typeof module !== 'undefined') module.exports = ListingsMap;
@@ -0,0 +1,73 @@
+/**
+ * Monthly cost calculator - what a house actually costs each month
+ * Principal + interest + property tax + insurance + HOA
+ *
+ * Load js/listing-values.js first.
+ * Loaded by the site pages with <script src="js/monthly-cost.js">; also require()-able from Node.
+ */
+
+const MonthlyCost = (() => {
+    const Values = typeof ListingValues !== 'undefined' ? ListingValues : require('./listing-values');
+
+    // York County, SC estimates for an owner-occupied home - every value is editable on the page
+    const COST_DEFAULTS = {
+        downPaymentPercent: 20,
+        ratePercent: 6.75,
+        termYears: 30,
+        taxRatePercent: 0.6,        // 4% owner-occupied assessment ratio x ~150 mills
+        insuranceRatePercent: 0.5   // yearly homeowners premium as a share of price
+    };
+
+    // Assumptions edited on index.html are saved in the browser and used by every page
+    const SETTINGS_KEY = 'houseHunt.costSettings';
+
+    function loadSettings(storage = localStorage) {
+        try {
+            return { ...COST_DEFAULTS, ...JSON.parse(storage.getItem(SETTINGS_KEY) || '{}') };
+        } catch {
+            return { ...COST_DEFAULTS };
+        }
+    }
+
+    function saveSettings(settings, storage = localStorage) {
+        storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    }
+
+    // The saved hoaMonthly, else read from the HOA text ("$1,800/year" -> 150); no HOA -> 0
+    function hoaMonthly(listing) {
+        if (typeof listing.hoaMonthly === 'number') return listing.hoaMonthly;
+        return Values.hoaMonthly(listing.hoa) || 0;
+    }
+
+    /**
+     * Monthly cost breakdown for one listing, or null when the price isn't known.
+     * principal/interest are the first month's split of the loan payment.
+     */
+    function monthlyCost(listing, settings = COST_DEFAULTS) {
+        if (typeof listing.price !== 'number' || listing.price <= 0) return null;
+
+        const s = { ...COST_DEFAULTS, ...settings };
+        const loan = listing.price * (1 - s.downPaymentPercent / 100);
+        const monthlyRate = s.ratePercent / 100 / 12;
+        const payments = s.termYears * 12;
+
+        const payment = monthlyRate === 0
+            ? loan / payments
+            : loan * monthlyRate / (1 - Math.pow(1 + monthlyRate, -payments));
+        const interest = loan * monthlyRate;
+
+        const cost = {
+            principal: payment - interest,
+            interest,
+            tax: listing.price * s.taxRatePercent / 100 / 12,
+            insurance: listing.price * s.insuranceRatePercent / 100 / 12,
+            hoa: hoaMonthly(listing)
+        };
+        cost.total = cost.principal + cost.interest + cost.tax + cost.insurance + cost.hoa;
+        return cost;
+    }
+
+    return { COST_DEFAULTS, loadSettings, saveSettings, hoaMonthly, monthlyCost };
+})();
+
+if (typeof module !== 'undefined') module.exports = MonthlyCost;
@@ -0,0 +1,90 @@
+/**
+ * Run health - is the data on the page fresh, and did the last scrape work?
+ *
+ * Reads scrape-status.json (written by every house-hunt.js run, see lib/run-status.js)
+ * together with the listings file's lastChecked. Works without a status file too:
+ * staleness then falls back to lastChecked and the default run interval.
+ */
+
+const RunHealth = (() => {
+    const FILE = 'scrape-status.json';
+    const DEFAULT_INTERVAL_HOURS = 11;
+    // A run takes a while, and cron can start a little late
+    const GRACE_HOURS = 2;
+    const HOUR = 3600000;
+
+    // "5 hours", "3 days"
+    function formatAge(ms) {
+        const hours = Math.floor(ms / HOUR);
+        if (hours < 1) return 'less than an hour';
+        if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+        return `${Math.floor(hours / 24)} days`;
+    }
+
+    // "realtor 29745", for warnings that name the searches that failed
+    function searchLabel(search) {
+        return `${search.source} ${search.zip}`;
+    }
+
+    // What went wrong with one search, or 'ok'
+    function searchResult(search) {
+        if (search.blocked) return `blocked (${search.blockedBy || `HTTP ${search.httpStatus}`})`;
+        if (search.timedOut) return 'timed out';
+        if (search.error) return `error: ${search.error}`;
+        return 'ok';
+    }
+
+    /**
+     * status        parsed scrape-status.json, or null
+     * profileId     the profile on the page ('default' when there are no profiles)
+     * lastChecked   the listings file's lastChecked (or lastUpdated)
+     *
+     * Returns { run, intervalHours, nextRunAt, overdue, stale, warnings }
+     */
+    function assess(status, profileId, lastChecked, now = new Date()) {
+        const run = status && status.profiles ? status.profiles[profileId] || null : null;
+        const intervalHours = (status && status.runIntervalHours) || DEFAULT_INTERVAL_HOURS;
+        const checkedAt = lastChecked ? new Date(lastChecked) : null;
+
+        let nextRunAt = null;
+        if (status && status.nextRunAt) nextRunAt = new Date(status.nextRunAt);
+        else if (checkedAt) nextRunAt = new Date(checkedAt.getTime() + intervalHours * HOUR);
+
+        const overdue = Boolean(nextRunAt && now - nextRunAt > GRACE_HOURS * HOUR);
+        const stale = !checkedAt || now - checkedAt > (intervalHours + GRACE_HOURS) * HOUR;
+        const warnings = [];
+
+        if (!checkedAt) {
+            warnings.push('These listings have never been checked.');
+        } else if (stale) {
+            warnings.push(`Listings were last checked ${formatAge(now - checkedAt)} ago - the scraper should run every ${intervalHours} hours.`);
+        }
+
+        if (run) {
+            const when = new Date(run.startedAt).toLocaleString();
+            const failed = (run.searches || []).filter(s => searchResult(s) !== 'ok');
+            if (!run.finishedAt) {
+                warnings.push(`The last run (${when}) never finished.`);
+            } else if (run.outcome === 'blocked') {
+                warnings.push(`The last run (${when}) was blocked by anti-bot protection - no listings were loaded, so what you see may be out of date.`);
+            } else if (run.outcome === 'failed') {
+                warnings.push(`The last run (${when}) failed${run.error ? `: ${run.error}` : ''}.`);
+            } else if (run.outcome === 'partial') {
+                warnings.push(`The last run (${when}) couldn't load ${failed.length} of ${run.searches.length} searches (${failed.map(searchLabel).join(', ')}).`);
+            }
+        }
+
+        return { run, intervalHours, nextRunAt, overdue, stale, warnings };
+    }
+
+    return {
+        FILE,
+        DEFAULT_INTERVAL_HOURS,
+        GRACE_HOURS,
+        formatAge,
+        searchResult,
+        assess
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = RunHealth;
@@ -0,0 +1,81 @@
+/**
+ * Search profiles - pick a profile from profiles.json and describe its criteria
+ *
+ * profiles.json is the one place criteria are written down; the scrapers read it
+ * through lib/profiles.js and the site reads it here. Each profile has its own
+ * listings file, chosen on the page with ?profile=<id>.
+ */
+
+const SearchProfiles = (() => {
+    const FILE = 'profiles.json';
+    const DEFAULT_LISTINGS_FILE = 'listings.json';
+
+    // profiles.json is optional - null when the site has none (or it can't be fetched)
+    async function load() {
+        try {
+            const response = await fetch(`${FILE}?v=${new Date().getTime()}`);
+            return response.ok ? await response.json() : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // The profile named in the URL, else the default one; null when there are no profiles
+    function findProfile(data, id) {
+        if (!data || !Array.isArray(data.profiles) || data.profiles.length === 0) return null;
+        return data.profiles.find(p => p.id === id) ||
+            data.profiles.find(p => p.id === data.defaultProfile) ||
+            data.profiles[0];
+    }
+
+    function isDefault(data, profile) {
+        return !profile || profile === findProfile(data, null);
+    }
+
+    function listingsFile(profile) {
+        return (profile && profile.listingsFile) || DEFAULT_LISTINGS_FILE;
+    }
+
+    // "$300k", "$1.2M"
+    function formatMoney(amount) {
+        if (amount >= 1000000) return `$${Math.round(amount / 100000) / 10}M`;
+        return `$${Math.round(amount / 1000)}k`;
+    }
+
+    // "3 - 4", "3+", "up to 4"; null when neither bound is set
+    function formatRange(min, max, format = v => String(v)) {
+        const hasMin = typeof min === 'number';
+        const hasMax = typeof max === 'number';
+        if (hasMin && hasMax) return min === max ? format(min) : `${format(min)} - ${format(max)}`;
+        if (hasMin) return `${format(min)}+`;
+        if (hasMax) return `up to ${format(max)}`;
+        return null;
+    }
+
+    // Label/value rows for the criteria panel - works on a profile or a listings file's searchCriteria
+    function criteriaRows(criteria) {
+        if (!criteria) return [];
+        const withUnit = (value, unit) => (value ? `${value} ${unit}` : null);
+        return [
+            { label: 'Location', value: (criteria.zips || []).join(', ') || null },
+            { label: 'Price Range', value: formatRange(criteria.priceMin, criteria.priceMax, formatMoney) },
+            { label: 'Bedrooms', value: formatRange(criteria.bedsMin, criteria.bedsMax) },
+            { label: 'Bathrooms', value: formatRange(criteria.bathsMin, criteria.bathsMax) },
+            { label: 'Square Footage', value: withUnit(formatRange(criteria.sqftMin, criteria.sqftMax, v => v.toLocaleString()), 'sqft') },
+            { label: 'Lot Size', value: withUnit(formatRange(criteria.lotAcresMin, criteria.lotAcresMax), 'acres') }
+        ].filter(row => row.value);
+    }
+
+    return {
+        FILE,
+        DEFAULT_LISTINGS_FILE,
+        load,
+        findProfile,
+        isDefault,
+        listingsFile,
+        formatRange,
+        criteriaRows
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = SearchProfiles;
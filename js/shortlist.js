@@ -0,0 +1,122 @@
+/**
+ * Shortlist - per-browser stars, hidden homes and notes
+ *
+ * Stored in localStorage and keyed by listing ID. A listing whose ID changed
+ * (old IDs are kept in listing.aliases) still finds its star, note and hidden flag.
+ * The whole thing can be exported as a URL fragment or a JSON file and imported
+ * in another browser.
+ */
+
+const Shortlist = (() => {
+    const STORAGE_KEY = 'houseHunt.shortlist';
+    const FRAGMENT_KEY = 'shortlist';
+
+    function emptyState() {
+        return { starred: [], hidden: [], notes: {} };
+    }
+
+    // Accept anything that looks like a saved or exported shortlist
+    function normalize(data) {
+        const state = emptyState();
+        if (!data || typeof data !== 'object') return state;
+        if (Array.isArray(data.starred)) state.starred = data.starred.map(String);
+        if (Array.isArray(data.hidden)) state.hidden = data.hidden.map(String);
+        if (data.notes && typeof data.notes === 'object') {
+            Object.entries(data.notes).forEach(([id, note]) => {
+                if (typeof note === 'string' && note.trim()) state.notes[id] = note;
+            });
+        }
+        return state;
+    }
+
+    function load(storage = localStorage) {
+        try {
+            return normalize(JSON.parse(storage.getItem(STORAGE_KEY) || '{}'));
+        } catch {
+            return emptyState();
+        }
+    }
+
+    function save(state, storage = localStorage) {
+        storage.setItem(STORAGE_KEY, JSON.stringify(state));
+    }
+
+    // The key this browser stored the listing under: its ID, or an ID it used to have
+    function keysOf(listing) {
+        return [listing.id, ...(listing.aliases || [])].filter(Boolean).map(String);
+    }
+
+    function isStarred(state, listing) {
+        return keysOf(listing).some(key => state.starred.includes(key));
+    }
+
+    function isHidden(state, listing) {
+        return keysOf(listing).some(key => state.hidden.includes(key));
+    }
+
+    function noteFor(state, listing) {
+        const key = keysOf(listing).find(k => state.notes[k]);
+        return key ? state.notes[key] : '';
+    }
+
+    // Flip a listing in or out of one of the ID lists, cleaning up old-ID entries too
+    function toggle(state, list, listing) {
+        const keys = keysOf(listing);
+        const on = keys.some(key => state[list].includes(key));
+        const rest = state[list].filter(key => !keys.includes(key));
+        return { ...state, [list]: on ? rest : [...rest, String(listing.id)] };
+    }
+
+    function setNote(state, listing, text) {
+        const notes = { ...state.notes };
+        keysOf(listing).forEach(key => delete notes[key]);
+        if (text.trim()) notes[String(listing.id)] = text;
+        return { ...state, notes };
+    }
+
+    // Fold an imported shortlist into this one; differing notes are both kept
+    function merge(state, incoming) {
+        const other = normalize(incoming);
+        const notes = { ...state.notes };
+        Object.entries(other.notes).forEach(([id, note]) => {
+            if (!notes[id]) notes[id] = note;
+            else if (!notes[id].includes(note)) notes[id] = `${notes[id]}\n---\n${note}`;
+        });
+        return {
+            starred: [...new Set([...state.starred, ...other.starred])],
+            hidden: [...new Set([...state.hidden, ...other.hidden])],
+            notes
+        };
+    }
+
+    // URL-safe base64 of the JSON, UTF-8 safe so notes can hold any text
+    function encodeFragment(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        const binary = Array.from(bytes, b => String.fromCharCode(b)).join('');
+        const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `${FRAGMENT_KEY}=${base64}`;
+    }
+
+    // Shortlist from a "#shortlist=..." fragment, or null if there isn't one
+    function decodeFragment(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const encoded = params.get(FRAGMENT_KEY);
+        if (!encoded) return null;
+        try {
+            const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            return normalize(JSON.parse(new TextDecoder().decode(bytes)));
+        } catch {
+            return null;
+        }
+    }
+
+    return {
+        emptyState, normalize, load, save,
+        isStarred, isHidden, noteFor,
+        toggle, setNote, merge,
+        encodeFragment, decodeFragment
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = Shortlist;
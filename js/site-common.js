@@ -0,0 +1,42 @@
+/**
+ * Site common - the formatting and escaping every page does the same way
+ *
+ * Loaded by index.html and listing.html with <script src="js/site-common.js">, before
+ * their own scripts; also require()-able from Node.
+ */
+
+const SiteCommon = (() => {
+    const SOURCE_LABELS = { realtor: 'Realtor.com', redfin: 'Redfin' };
+
+    // Format a number as "$374,900"
+    function formatPrice(price) {
+        return typeof price === 'number' ? `$${price.toLocaleString()}` : 'Price not shown';
+    }
+
+    // Scraped text is never trusted as markup - every value put into innerHTML goes through here
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    // A photo that fails to load falls back to its data-fallback image, then to the placeholder
+    function imageFallback(img) {
+        const fallback = img.dataset.fallback;
+        if (fallback && img.getAttribute('src') !== fallback) {
+            img.src = fallback;
+            return;
+        }
+        img.replaceWith('🏠');
+    }
+
+    // Every site the listing was found on: [{ label, url }], label null for a site we don't name
+    function sourceLinks(listing) {
+        const sources = listing.sources && listing.sources.length > 0
+            ? listing.sources
+            : [{ name: 'listing', url: listing.url }];
+        return sources.map(s => ({ label: SOURCE_LABELS[s.name] || null, url: s.url }));
+    }
+
+    return { SOURCE_LABELS, formatPrice, escapeHtml, imageFallback, sourceLinks };
+})();
+
+if (typeof module !== 'undefined') module.exports = SiteCommon;
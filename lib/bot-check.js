@@ -0,0 +1,64 @@
+/**
+ * Bot check - tell an anti-bot interstitial from a search that really has no results
+ *
+ * Kasada (Realtor) answers 200 with a script and a "request could not be processed"
+ * message, Cloudflare with a "Just a moment..." challenge, others with a captcha - none
+ * of them has cards, so without a check a blocked search looks like an empty one.
+ * classifyPage decides from the HTTP status, the card count and what detectChallenge
+ * found in the title and markup. A page with cards is never blocked, and the Kasada SDK
+ * alone never blocks a page either: it loads on working pages too, including searches
+ * with no results. It only names the vendor behind a block status.
+ */
+
+// Statuses the sites block with - Realtor's Kasada answers 403, 404 or 429, Cloudflare 403 or 503
+const BLOCK_STATUSES = [403, 404, 429, 503];
+
+// Signals that show up on pages that load fine - a block only with a block status
+const SDK_SIGNALS = ['KPSDK script'];
+
+// Runs inside the page (or against a parsed document) - must not reference anything outside itself.
+// The first challenge the title or markup gives away: { vendor, signal }, or null.
+// The Kasada SDK is only reported when nothing else is there
+function detectChallenge(document) {
+  const title = document.title || '';
+  const text = (document.body ? document.body.textContent : '').replace(/\s+/g, ' ');
+  const scripts = Array.from(document.querySelectorAll('script'));
+  const scriptMatches = (pattern) => scripts.some(s => pattern.test(s.getAttribute('src') || '') || pattern.test(s.textContent || ''));
+  const has = (selector) => document.querySelector(selector) !== null;
+
+  const checks = [
+    ['kasada', 'block message', () => /request could not be processed/i.test(text) && /reference ID/i.test(text)],
+    ['cloudflare', 'challenge title', () => /^(just a moment|attention required)/i.test(title.trim())],
+    ['cloudflare', 'challenge markup', () => has('#challenge-form, #cf-challenge-running, .cf-turnstile') || scriptMatches(/\/cdn-cgi\/challenge-platform\//)],
+    ['captcha', 'captcha widget', () => has('.g-recaptcha, .h-captcha, #px-captcha, iframe[src*="captcha"]')],
+    ['captcha', 'robot check title', () => /captcha|are you a (human|robot)|verify you are human|access denied/i.test(title)],
+    // Last: Realtor loads the SDK on every page, so any other signal on the page wins over it
+    ['kasada', 'KPSDK script', () => scriptMatches(/KPSDK|\/ips\.js/)]
+  ];
+
+  for (const [vendor, signal, found] of checks) {
+    if (found()) return { vendor, signal };
+  }
+  return null;
+}
+
+/**
+ * One loaded page, from its HTTP status, how many cards it had and detectChallenge's answer:
+ *   { verdict: 'ok' }        cards
+ *   { verdict: 'empty' }     loaded, no cards and no challenge (or just the Kasada SDK) - the search has no results
+ *   { verdict: 'blocked', blockedBy: 'kasada: block message' | 'kasada (HTTP 429)' | 'cloudflare (HTTP 403)' | 'HTTP 429' }
+ */
+function classifyPage(status, cards, challenge) {
+  if (BLOCK_STATUSES.includes(status)) {
+    return { verdict: 'blocked', blockedBy: challenge ? `${challenge.vendor} (HTTP ${status})` : `HTTP ${status}` };
+  }
+  if (cards > 0) return { verdict: 'ok', blockedBy: null };
+  if (challenge && !SDK_SIGNALS.includes(challenge.signal)) return { verdict: 'blocked', blockedBy: `${challenge.vendor}: ${challenge.signal}` };
+  return { verdict: 'empty', blockedBy: null };
+}
+
+module.exports = {
+  BLOCK_STATUSES,
+  detectChallenge,
+  classifyPage
+};
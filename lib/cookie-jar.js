@@ -0,0 +1,142 @@
+/**
+ * Cookie jar - Netscape cookies.txt files for the browser engines
+ *
+ * The format curl and browser extensions export: one cookie per line, seven
+ * tab-separated fields (domain, include subdomains, path, secure, expires, name, value).
+ * A "#HttpOnly_" prefix on the domain marks an HttpOnly cookie; other "#" lines are
+ * comments. Expires 0 is a session cookie.
+ *
+ * Loading a jar saved by an earlier run means the scrapers start with the Kasada
+ * cookies (KP_UIDz) a real visit earned, instead of an empty jar every time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+const HEADER = [
+  '# Netscape HTTP Cookie File',
+  '# https://curl.se/docs/http-cookies.html',
+  '# Written by house-hunt.js after each run. Edit at your own risk.',
+  ''
+].join('\n');
+
+const nowSeconds = (now) => Math.floor(now.getTime() / 1000);
+
+function isExpired(cookie, now = new Date()) {
+  return cookie.expires > 0 && cookie.expires <= nowSeconds(now);
+}
+
+// Same cookie if domain, path and name match - a newer copy replaces it
+function cookieKey(cookie) {
+  return `${cookie.domain.replace(/^\./, '')}\t${cookie.path}\t${cookie.name}`;
+}
+
+// One line of a cookies.txt file, or null for comments, blanks and anything malformed
+function parseLine(line) {
+  let text = line.replace(/\r$/, '');
+  let httpOnly = false;
+  if (text.startsWith(HTTP_ONLY_PREFIX)) {
+    httpOnly = true;
+    text = text.slice(HTTP_ONLY_PREFIX.length);
+  }
+  if (!text.trim() || text.startsWith('#')) return null;
+
+  const fields = text.split('\t');
+  if (fields.length < 7) return null;
+  const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+  const expiresAt = Number(expires);
+  if (!domain || !name || !Number.isFinite(expiresAt)) return null;
+
+  return {
+    domain,
+    includeSubdomains: includeSubdomains.toUpperCase() === 'TRUE',
+    path: path || '/',
+    secure: secure.toUpperCase() === 'TRUE',
+    expires: expiresAt,
+    name,
+    value: value.join('\t'),
+    httpOnly
+  };
+}
+
+// Parse a cookies.txt file's text; expired cookies are dropped
+function parseCookieFile(text, now = new Date()) {
+  return text.split('\n')
+    .map(parseLine)
+    .filter(cookie => cookie && !isExpired(cookie, now));
+}
+
+// Back to cookies.txt text
+function formatCookieFile(cookies) {
+  const lines = cookies.map(c => [
+    (c.httpOnly ? HTTP_ONLY_PREFIX : '') + c.domain,
+    c.includeSubdomains ? 'TRUE' : 'FALSE',
+    c.path,
+    c.secure ? 'TRUE' : 'FALSE',
+    String(c.expires),
+    c.name,
+    c.value
+  ].join('\t'));
+  return `${HEADER}\n${lines.join('\n')}\n`;
+}
+
+// Cookies from a file; a missing file is an empty jar
+function loadCookieJar(file, now = new Date()) {
+  if (!file || !fs.existsSync(file)) return [];
+  return parseCookieFile(fs.readFileSync(file, 'utf8'), now);
+}
+
+/**
+ * Write what the browser ended the run with back to the file.
+ * Cookies in the file the browser didn't report are kept until they expire;
+ * the browser's copy wins where both have one.
+ */
+function saveCookieJar(file, cookies, now = new Date()) {
+  const byKey = new Map();
+  [...loadCookieJar(file, now), ...cookies].forEach(cookie => byKey.set(cookieKey(cookie), cookie));
+  const jar = [...byKey.values()].filter(cookie => !isExpired(cookie, now));
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, formatCookieFile(jar));
+  return jar;
+}
+
+// Puppeteer's browser.setCookie() and Playwright's context.addCookies() take the same shape
+// A leading dot on the domain is how both say "and subdomains"; expires -1 is a session cookie
+function toBrowserCookies(cookies) {
+  return cookies.map(c => ({
+    name: c.name,
+    value: c.value,
+    domain: c.includeSubdomains && !c.domain.startsWith('.') ? `.${c.domain}` : c.domain,
+    path: c.path,
+    expires: c.expires > 0 ? c.expires : -1,
+    httpOnly: c.httpOnly,
+    secure: c.secure
+  }));
+}
+
+// From Puppeteer's browser.cookies() or Playwright's context.cookies()
+function fromBrowserCookies(cookies) {
+  return cookies.map(c => ({
+    domain: c.domain,
+    includeSubdomains: c.domain.startsWith('.'),
+    path: c.path || '/',
+    secure: Boolean(c.secure),
+    expires: c.expires > 0 ? Math.floor(c.expires) : 0,
+    name: c.name,
+    value: c.value,
+    httpOnly: Boolean(c.httpOnly)
+  }));
+}
+
+module.exports = {
+  isExpired,
+  parseCookieFile,
+  formatCookieFile,
+  loadCookieJar,
+  saveCookieJar,
+  toBrowserCookies,
+  fromBrowserCookies
+};
@@ -0,0 +1,88 @@
+/**
+ * Crawl pool - run searches a few at a time without hammering any one site
+ *
+ * runPool works through a list with a fixed number of workers. pacedEngine wraps an
+ * engine from lib/engines so every open() waits its turn for the page's host: one
+ * request per host at a time, each starting hostDelayMs plus a random 0..jitterMs after
+ * the last one finished loading. Different hosts don't wait on each other, so Realtor
+ * and Redfin searches run side by side. Once the time budget is spent open() refuses to
+ * start anything new, and the run stops with what it has instead of running into the
+ * next cron slot.
+ */
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// worker(item, index) over every item, at most `concurrency` at once; results keep the items' order
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const work = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, work));
+  return results;
+}
+
+/**
+ * schedule(url, task) runs task once it's url's host's turn: after the host's previous
+ * task has settled and delayMs + random() * jitterMs has passed since. The first
+ * request to a host goes straight away. now and wait are only swapped out by tests.
+ */
+function createHostLimiter({ delayMs = 0, jitterMs = 0, random = Math.random, now = Date.now, wait = sleep } = {}) {
+  const queues = new Map();     // host -> its last task, settled or not
+  const finished = new Map();   // host -> when its last task settled
+
+  return function schedule(url, task) {
+    const host = new URL(url).host;
+    const turn = (queues.get(host) || Promise.resolve()).then(async () => {
+      if (finished.has(host)) {
+        const gap = delayMs + Math.round(random() * jitterMs) - (now() - finished.get(host));
+        if (gap > 0) await wait(gap);
+      }
+      try {
+        return await task();
+      } finally {
+        finished.set(host, now());
+      }
+    });
+    // A failed request still holds its place in the queue, but doesn't fail the next one
+    queues.set(host, turn.catch(() => {}));
+    return turn;
+  };
+}
+
+/**
+ * The engine with every open() paced per host and checked against the time budget:
+ *   hostDelayMs, jitterMs   see createHostLimiter
+ *   timeBudgetMinutes       from when the engine is wrapped; null for no limit
+ * outOfTime() tells the caller to stop before starting work that can't finish.
+ */
+function pacedEngine(engine, settings = {}, clock = {}) {
+  const now = clock.now || Date.now;
+  const schedule = createHostLimiter({ delayMs: settings.hostDelayMs, jitterMs: settings.jitterMs, ...clock });
+  const budgetMinutes = settings.timeBudgetMinutes || null;
+  const deadline = budgetMinutes ? now() + budgetMinutes * 60000 : Infinity;
+  const outOfTime = () => now() >= deadline;
+
+  return {
+    ...engine,
+    outOfTime,
+    open: (url) => schedule(url, () => {
+      // "timed out" so run-status counts what's left as timed out, not failed
+      if (outOfTime()) throw new Error(`Run timed out: the ${budgetMinutes} minute time budget is spent`);
+      return engine.open(url);
+    })
+  };
+}
+
+module.exports = {
+  runPool,
+  createHostLimiter,
+  pacedEngine
+};
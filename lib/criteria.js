@@ -0,0 +1,79 @@
+/**
+ * Search criteria - check extracted listings against the CONFIG bounds
+ *
+ * A bound the listing is known to break makes it a "miss". A field the scraper
+ * couldn't read makes it "partial" - unknown is reported, never guessed.
+ */
+
+const { parseNumber, lotAcres } = require('./listing-schema');
+
+// Numeric bounds: [listing field, min key, max key, below-min issue, above-max issue]
+const BOUNDS = [
+  ['price', 'priceMin', 'priceMax', 'under price range', 'over budget'],
+  ['beds', 'bedsMin', 'bedsMax', 'too few beds', 'too many beds'],
+  ['baths', 'bathsMin', 'bathsMax', 'too few baths', 'too many baths'],
+  ['sqft', 'sqftMin', 'sqftMax', 'too small', 'too large'],
+  ['lot', 'lotAcresMin', 'lotAcresMax', 'lot too small', 'lot too large']
+];
+
+// Bounds on a value that isn't stored as a plain number on the listing
+const READERS = {
+  lot: listing => lotAcres(listing.lotSize)
+};
+
+// The criteria fields saved into listings.json as searchCriteria
+function pickCriteria(config) {
+  const keys = ['zips', ...BOUNDS.flatMap(([, min, max]) => [min, max])];
+  return Object.fromEntries(keys.filter(k => config[k] !== undefined).map(k => [k, config[k]]));
+}
+
+/**
+ * Check one listing against the criteria.
+ * Returns { status: 'match' | 'partial' | 'miss', issues: [...] }
+ */
+function checkCriteria(listing, criteria) {
+  const misses = [];
+  const unknown = [];
+
+  if (criteria.zips && listing.zip && !criteria.zips.includes(listing.zip)) {
+    misses.push('outside search area');
+  }
+
+  for (const [field, minKey, maxKey, belowIssue, aboveIssue] of BOUNDS) {
+    const min = criteria[minKey];
+    const max = criteria[maxKey];
+    if (min === undefined && max === undefined) continue;
+
+    const value = READERS[field] ? READERS[field](listing) : parseNumber(listing[field]);
+    if (value === null) {
+      unknown.push(`${field} unknown`);
+    } else if (min !== undefined && value < min) {
+      misses.push(belowIssue);
+    } else if (max !== undefined && value > max) {
+      misses.push(aboveIssue);
+    }
+  }
+
+  let status = 'match';
+  if (misses.length > 0) status = 'miss';
+  else if (unknown.length > 0) status = 'partial';
+
+  return { status, issues: [...misses, ...unknown] };
+}
+
+// Attach a criteriaMatch report to every listing
+function annotateCriteria(listings, criteria) {
+  return listings.map(listing => ({ ...listing, criteriaMatch: checkCriteria(listing, criteria) }));
+}
+
+// Drop scraped listings that are known to miss a bound; unknowns are kept for a human to judge
+function filterByCriteria(listings, criteria) {
+  return annotateCriteria(listings, criteria).filter(l => l.criteriaMatch.status !== 'miss');
+}
+
+module.exports = {
+  pickCriteria,
+  checkCriteria,
+  annotateCriteria,
+  filterByCriteria
+};
@@ -0,0 +1,223 @@
+/**
+ * Detail-page enrichment - steps 4-5 of UPDATE_PROCEDURE.md, automated
+ *
+ * Visits a listing's Realtor.com or Redfin detail page and pulls HOA, lot size, year built,
+ * description, the hero image URL, the full photo set and the map location. Every value records which strategy found it
+ * in listing.extractedBy, so a wrong HOA can be traced back to the regex that matched.
+ * A blocked detail page (lib/bot-check.js) leaves the listing as it was - read as a page,
+ * it would record "no HOA" where the HOA is only unknown.
+ */
+
+const { detectChallenge, classifyPage } = require('./bot-check');
+
+// Runs inside the page (or against a parsed document) - must not reference anything outside itself
+function extractDetails(document) {
+  const text = (el) => (el && el.textContent ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+  const bodyText = document.body ? (document.body.innerText || document.body.textContent || '') : '';
+  const factsText = Array.from(document.querySelectorAll(
+    '[data-testid="property-details"], .property-details, [data-testid="property-facts"], .facts-container, .keyDetailsList, .amenities-container'
+  )).map(text).join(' ');
+
+  const result = { values: {}, strategies: {} };
+  const found = (field, value, strategy) => {
+    if (value === null || value === undefined || value === '') return false;
+    result.values[field] = value;
+    result.strategies[field] = strategy;
+    return true;
+  };
+
+  // HOA - the three-method cascade from the update procedure
+  (() => {
+    // Method 1: HOA test IDs
+    for (const el of document.querySelectorAll('[data-testid*="hoa"], [data-testid*="association"]')) {
+      const t = text(el);
+      if (t.includes('$') || t.includes('/mo') || t.includes('/month') || t.includes('monthly')) {
+        if (found('hoa', t, 'hoa-testid')) return;
+      }
+    }
+
+    // Method 2: property details/facts sections
+    const factsMatch = factsText.match(/HOA[\s\/\-]*(?:fee|dues)?[:\s]*\$?(\d[\d,]*(?:\.\d{2})?)\s*(?:\/|\s*per\s*)?\s*(mo|month|monthly|yr|year|annual)?/i);
+    if (factsMatch) {
+      const period = /^(yr|year|annual)/i.test(factsMatch[2] || '') ? 'year' : 'mo';
+      if (found('hoa', `$${factsMatch[1]}/${period}`, 'facts-regex')) return;
+    }
+
+    // Method 3: "Association" or "HOA" anywhere on the page - only with a period, free text
+    // is too loose to guess one; an amount without it is recorded as unknown
+    const textMatch = bodyText.match(/(?:HOA|Homeowners?\s*Association|Association)\s*(?:fee|dues)?[:\s]*\$?(\d[\d,]*)\s*(?:\/|\s*per\s*)?\s*(mo|month|monthly|yr|year|annual)?/i);
+    if (textMatch) {
+      if (!textMatch[2]) {
+        result.values.hoa = null;
+        result.strategies.hoa = 'page-text-no-period';
+        return;
+      }
+      const period = /^(yr|year|annual)/i.test(textMatch[2]) ? 'year' : 'mo';
+      found('hoa', `$${textMatch[1]}/${period}`, 'page-text');
+      return;
+    }
+
+    // Checked and there's nothing - recorded so "no HOA" is distinguishable from "never looked"
+    result.values.hoa = null;
+    result.strategies.hoa = 'none-found';
+  })();
+
+  // Lot size
+  (() => {
+    const lotPattern = /Lot\s*(?:size)?[:\s]*([\d,.]+\s*(?:acres?|sq\.?\s*ft\.?|sqft))/i;
+    const lotEl = document.querySelector('[data-testid*="lot-size"], [data-testid*="lot_size"]');
+    const testIdMatch = text(lotEl).match(/([\d,.]+\s*(?:acres?|sq\.?\s*ft\.?|sqft))/i);
+    if (testIdMatch && found('lotSize', testIdMatch[1], 'lot-testid')) return;
+
+    const factsMatch = factsText.match(lotPattern);
+    if (factsMatch && found('lotSize', factsMatch[1], 'facts-regex')) return;
+
+    const textMatch = bodyText.match(lotPattern);
+    if (textMatch) found('lotSize', textMatch[1], 'page-text');
+  })();
+
+  // Year built
+  (() => {
+    const yearPattern = /(?:Year\s*built|Built\s*in)[:\s]*((?:18|19|20)\d{2})/i;
+    const yearEl = document.querySelector('[data-testid*="year-built"], [data-testid*="year_built"]');
+    const testIdMatch = text(yearEl).match(/((?:18|19|20)\d{2})/);
+    if (testIdMatch && found('yearBuilt', parseInt(testIdMatch[1], 10), 'year-testid')) return;
+
+    const factsMatch = factsText.match(yearPattern);
+    if (factsMatch && found('yearBuilt', parseInt(factsMatch[1], 10), 'facts-regex')) return;
+
+    const textMatch = bodyText.match(yearPattern);
+    if (textMatch) found('yearBuilt', parseInt(textMatch[1], 10), 'page-text');
+  })();
+
+  // Description
+  (() => {
+    const descEl = document.querySelector('[data-testid="romance-paragraph"], #ldp-detail-romance, .property-description, #marketing-remarks-scroll');
+    if (found('description', text(descEl), 'description-testid')) return;
+
+    const meta = document.querySelector('meta[property="og:description"], meta[name="description"]');
+    if (meta) found('description', (meta.getAttribute('content') || '').trim(), 'meta-description');
+  })();
+
+  // Hero image - selector from LESSONS.md, then the share image
+  (() => {
+    const heroImg = document.querySelector('img[alt*="featured"], img[alt*="yard"], .hero-image img');
+    if (heroImg && found('imageUrl', heroImg.currentSrc || heroImg.getAttribute('src'), 'hero-selector')) return;
+
+    const meta = document.querySelector('meta[property="og:image"]');
+    if (meta) found('imageUrl', meta.getAttribute('content'), 'og-image');
+  })();
+
+  // Photo set - every gallery photo, not just the hero
+  (() => {
+    const urls = [];
+    const add = (url) => {
+      if (url && !url.startsWith('data:') && !urls.includes(url)) urls.push(url);
+    };
+
+    const collectImages = (node) => {
+      if (!node || typeof node !== 'object') return;
+      const image = node.image || node.photo;
+      [].concat(image || []).forEach(item => add(typeof item === 'string' ? item : item && (item.url || item.contentUrl)));
+      Object.values(node).forEach(value => {
+        if (value && typeof value === 'object') collectImages(value);
+      });
+    };
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        collectImages(JSON.parse(script.textContent));
+      } catch (e) {}
+    }
+    if (urls.length > 1 && found('photoUrls', urls, 'json-ld')) return;
+
+    document.querySelectorAll(
+      '[data-testid*="gallery"] img, [data-testid*="carousel"] img, .ldp-carousel img, img[src*="rdcpix.com"], img[src*="cdn-redfin.com/photo"]'
+    ).forEach(img => add(img.currentSrc || img.getAttribute('src') || img.getAttribute('data-src')));
+    if (urls.length > 0) found('photoUrls', urls, 'gallery-selector');
+  })();
+
+  // Location - structured data first, then the page's own map data
+  (() => {
+    const setLocation = (lat, lng, strategy) => {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lng);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return false;
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return false;
+      found('latitude', latitude, strategy);
+      found('longitude', longitude, strategy);
+      return true;
+    };
+
+    const findGeo = (node) => {
+      if (!node || typeof node !== 'object') return null;
+      if (node.geo && node.geo.latitude !== undefined) return node.geo;
+      for (const value of Object.values(node)) {
+        const geo = findGeo(value);
+        if (geo) return geo;
+      }
+      return null;
+    };
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const geo = findGeo(JSON.parse(script.textContent));
+        if (geo && setLocation(geo.latitude, geo.longitude, 'json-ld')) return;
+      } catch (e) {}
+    }
+
+    const metaLat = document.querySelector('meta[property="place:location:latitude"], meta[property="og:latitude"]');
+    const metaLng = document.querySelector('meta[property="place:location:longitude"], meta[property="og:longitude"]');
+    if (metaLat && metaLng && setLocation(metaLat.getAttribute('content'), metaLng.getAttribute('content'), 'meta-location')) return;
+
+    const pattern = /"lat(?:itude)?"\s*:\s*(-?\d+\.\d+)\s*,\s*"(?:lon|lng|longitude)"\s*:\s*(-?\d+\.\d+)/;
+    for (const script of document.querySelectorAll('script')) {
+      const match = (script.textContent || '').match(pattern);
+      if (match && setLocation(match[1], match[2], 'page-data')) return;
+    }
+  })();
+
+  return result;
+}
+
+// The detail page for a listing, from its url or its sources - Realtor.com's when it has
+// one, else Redfin's
+function detailUrl(listing) {
+  const urls = [listing.url, ...(listing.sources || []).map(s => s.url)].filter(Boolean);
+  return urls.find(url => url.includes('/realestateandhomes-detail/'))
+    || urls.find(url => /redfin\.com\/.*\/home\/\d+/.test(url))
+    || null;
+}
+
+// Open one listing's detail page and copy what it found onto the listing
+// Works with any engine from lib/engines
+async function enrichListing(engine, listing) {
+  const url = detailUrl(listing);
+  if (!url) return listing;
+
+  const page = await engine.open(url);
+  try {
+    // Detail pages have no cards to count - a page that loaded without a challenge is fine
+    const { verdict, blockedBy } = classifyPage(page.status, 0, await page.evaluate(detectChallenge));
+    if (verdict === 'blocked') {
+      console.log(`  Detail page for ${listing.address} blocked (${blockedBy}) - left as it was`);
+      return listing;
+    }
+
+    const { values, strategies } = await page.evaluate(extractDetails);
+    if (values.imageUrl) values.imageUrl = new URL(values.imageUrl, page.url).href;
+    if (values.photoUrls) values.photoUrls = values.photoUrls.map(url => new URL(url, page.url).href);
+
+    return {
+      ...listing,
+      ...values,
+      extractedBy: { ...(listing.extractedBy || {}), ...strategies }
+    };
+  } finally {
+    await page.close();
+  }
+}
+
+module.exports = {
+  detailUrl,
+  extractDetails,
+  enrichListing
+};
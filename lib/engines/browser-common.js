@@ -0,0 +1,122 @@
+/**
+ * Helpers shared by the browser engines
+ */
+
+const { saveCookieJar, fromBrowserCookies } = require('../cookie-jar');
+
+const CHROMIUM_PATH = '/usr/bin/chromium';
+
+const CHROMIUM_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--disable-gpu',
+  '--window-size=1920,1080'
+];
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Run an extractor written as fn(document, ...args) inside a Puppeteer or Playwright page
+// The function is sent as source, so it must not reference anything outside itself
+function evaluateInPage(page, fn, ...args) {
+  return page.evaluate(`(${fn.toString()})(document, ...${JSON.stringify(args)})`);
+}
+
+// The page object every engine hands back from open()
+// When recording, close() waits for the page's response bodies first
+function wrapPage(page, status, recorder = null) {
+  return {
+    status,
+    url: page.url(),
+    evaluate: (fn, ...args) => evaluateInPage(page, fn, ...args),
+    content: () => page.content(),
+    screenshot: (file) => page.screenshot({ path: file, fullPage: true }),
+    close: async () => {
+      if (recorder) await recorder.settle();
+      await page.close();
+    }
+  };
+}
+
+// Record every response a Puppeteer or Playwright page gets into a session archive
+// Puppeteer reads a body with buffer(), Playwright with body()
+function recordResponses(page, recorder) {
+  page.on('response', (response) => {
+    recorder.add({
+      method: response.request().method(),
+      url: response.url(),
+      status: response.status(),
+      statusText: response.statusText(),
+      headers: response.headers()
+    }, () => (typeof response.buffer === 'function' ? response.buffer() : response.body()));
+  });
+}
+
+// Answer every request a Puppeteer page makes from a session archive - nothing reaches the network
+async function replayRequests(page, replayer) {
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (request.url().startsWith('data:')) {
+      request.continue();
+      return;
+    }
+    const recorded = replayer.match(request.method(), request.url());
+    if (!recorded) {
+      request.abort('blockedbyclient');
+      return;
+    }
+    request.respond({ status: recorded.status, headers: recorded.headers, body: recorded.body });
+  });
+}
+
+// Is a Chrome listening on this remote-debugging URL (http://127.0.0.1:9222)?
+// Chrome answers /json/version when started with --remote-debugging-port
+async function isDebuggerReachable(browserUrl, timeout = 3000) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(new URL('/json/version', browserUrl), { signal: controller.signal });
+    return response.ok;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Close the tabs this run opened that are still open - never anything else
+async function closeOwnPages(pages) {
+  for (const page of pages) {
+    if (!page.isClosed()) await page.close().catch(() => {});
+  }
+  pages.clear();
+}
+
+// Write the browser's cookies back to the cookie file at the end of a run
+// A failure here is logged, never thrown - it mustn't cost the run its results
+async function saveBrowserCookies(cookieFile, getCookies) {
+  if (!cookieFile) return;
+  try {
+    const jar = saveCookieJar(cookieFile, fromBrowserCookies(await getCookies()));
+    console.log(`Saved ${jar.length} cookies to ${cookieFile}`);
+  } catch (e) {
+    console.log('Could not save cookies:', e.message);
+  }
+}
+
+module.exports = {
+  CHROMIUM_PATH,
+  CHROMIUM_ARGS,
+  USER_AGENT,
+  sleep,
+  evaluateInPage,
+  wrapPage,
+  recordResponses,
+  replayRequests,
+  isDebuggerReachable,
+  closeOwnPages,
+  saveBrowserCookies
+};
@@ -0,0 +1,89 @@
+/**
+ * Engine: plain HTTP fetch, parsed with linkedom
+ * No JavaScript runs, so it only sees what the server renders - cheap, and useful
+ * for checking whether a block is browser fingerprinting or the IP itself
+ * options.record / options.replay: a session archive (HAR) to write every response to,
+ *   or to answer every request from - see lib/session-archive.js
+ */
+
+const { parseHTML } = require('linkedom');
+const { USER_AGENT } = require('./browser-common');
+const { openSession, closeSession } = require('../session-archive');
+
+async function fetchWithTimeout(url, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml',
+        'Accept-Language': 'en-US,en;q=0.9'
+      }
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The recorded response for url, shaped like what fetchPage returns
+function replayPage(replayer, url) {
+  const recorded = replayer.match('GET', url);
+  if (!recorded) {
+    throw new Error(`Not in the session archive: ${url}`);
+  }
+  return { status: recorded.status, url: recorded.redirectURL || url, html: recorded.body.toString('utf8') };
+}
+
+// Fetch url; fetch follows redirects itself, so a recording keeps the final URL as redirectURL
+async function fetchPage(url, timeout, recorder) {
+  const response = await fetchWithTimeout(url, timeout);
+  const html = await response.text();
+  const finalUrl = response.url || url;
+
+  if (recorder) {
+    const headers = Object.fromEntries(response.headers);
+    const cookies = response.headers.getSetCookie();
+    if (cookies.length > 0) headers['set-cookie'] = cookies.join('\n');
+    recorder.add({
+      method: 'GET',
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      redirectURL: finalUrl !== url ? finalUrl : ''
+    }, () => Buffer.from(html));
+  }
+  return { status: response.status, url: finalUrl, html };
+}
+
+async function createEngine(options = {}) {
+  const timeout = options.timeout || 30000;
+  const session = openSession(options);
+
+  return {
+    name: 'fetch',
+
+    async open(url) {
+      const { status, url: pageUrl, html } = session.replayer
+        ? replayPage(session.replayer, url)
+        : await fetchPage(url, timeout, session.recorder);
+      const { document } = parseHTML(html);
+
+      return {
+        status,
+        url: pageUrl,
+        evaluate: async (fn, ...args) => fn(document, ...args),
+        content: async () => html,
+        // Nothing is rendered, so there's nothing to take a picture of
+        screenshot: null,
+        close: async () => {}
+      };
+    },
+
+    close: () => closeSession(session, options)
+  };
+}
+
+module.exports = { createEngine };
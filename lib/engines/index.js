@@ -0,0 +1,36 @@
+/**
+ * Scraping engines - every engine exposes the same small interface:
+ *
+ *   const engine = await createEngine('playwright');
+ *   const page = await engine.open(url);     // { status, url, evaluate(fn, ...args), content(), screenshot(file), close() }
+ *   const cards = await page.evaluate(extractSearchCards, zip, SELECTORS);
+ *   await page.close();
+ *   await engine.close();
+ *
+ * Extractors are written as fn(document, ...args) so the same function runs in a
+ * browser page or against HTML parsed in Node. The fetch engine's screenshot is null.
+ * The browser engines also have freshContext(): later pages open without the run's
+ * cookies, for retrying a blocked page (false when attached to a running Chrome).
+ */
+
+const ENGINES = {
+  'puppeteer-stealth': () => require('./puppeteer-stealth'),
+  'playwright': () => require('./playwright'),
+  'fetch': () => require('./fetch')
+};
+
+const DEFAULT_ENGINE = 'puppeteer-stealth';
+
+async function createEngine(name = DEFAULT_ENGINE, options = {}) {
+  const load = ENGINES[name];
+  if (!load) {
+    throw new Error(`Unknown engine "${name}" (expected ${Object.keys(ENGINES).join(', ')})`);
+  }
+  return load().createEngine(options);
+}
+
+module.exports = {
+  ENGINE_NAMES: Object.keys(ENGINES),
+  DEFAULT_ENGINE,
+  createEngine
+};
@@ -0,0 +1,133 @@
+/**
+ * Engine: Playwright Chromium
+ * Blocks images, media and fonts to keep page loads light
+ * options.cookieFile: a cookies.txt loaded into the context and written back on close
+ * options.browserUrl: attach to a running Chrome (http://127.0.0.1:9222) instead of launching;
+ *   falls back to launching when nothing answers there
+ * options.record / options.replay: a session archive (HAR) to write every response to,
+ *   or to answer every request from - see lib/session-archive.js
+ */
+
+const {
+  CHROMIUM_PATH, CHROMIUM_ARGS, USER_AGENT, wrapPage, recordResponses, isDebuggerReachable, closeOwnPages, saveBrowserCookies
+} = require('./browser-common');
+const { loadCookieJar, toBrowserCookies } = require('../cookie-jar');
+const { openSession, closeSession } = require('../session-archive');
+
+// Playwright takes one string per header; it splits Set-Cookie back on newlines
+function joinHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, values]) => [name, values.join('\n')]));
+}
+
+// Attach to the Chrome at browserUrl, using its own profile (cookies and all)
+async function connectBrowser(chromium, browserUrl) {
+  console.log(`Attaching to Chrome at ${browserUrl}`);
+  const browser = await chromium.connectOverCDP(browserUrl);
+  const context = browser.contexts()[0] || await browser.newContext();
+  return { browser, context };
+}
+
+// A context with the engine's viewport and user agent
+function newContext(browser) {
+  return browser.newContext({
+    viewport: { width: 1920, height: 1080 },
+    userAgent: USER_AGENT
+  });
+}
+
+// Launch headless Chromium with one context for the whole run, so cookies a page earns carry over
+async function launchBrowser(chromium, cookieFile) {
+  const browser = await chromium.launch({
+    headless: true,
+    executablePath: CHROMIUM_PATH,
+    args: CHROMIUM_ARGS
+  });
+  const context = await newContext(browser);
+
+  const cookies = loadCookieJar(cookieFile);
+  if (cookies.length > 0) {
+    await context.addCookies(toBrowserCookies(cookies));
+    console.log(`Loaded ${cookies.length} cookies from ${cookieFile}`);
+  }
+  return { browser, context };
+}
+
+async function createEngine(options = {}) {
+  const settleMs = options.settleMs !== undefined ? options.settleMs : 5000;
+  const { chromium } = require('playwright');
+  const session = openSession(options);
+  // A replay starts from no cookies and mustn't write the recording's cookies over the real jar
+  const cookieFile = session.replayer ? null : options.cookieFile;
+
+  let connected = false;
+  if (options.browserUrl) {
+    connected = await isDebuggerReachable(options.browserUrl);
+    if (!connected) console.log(`No Chrome answering at ${options.browserUrl} - launching headless Chromium instead`);
+  }
+  const { browser, context } = connected
+    ? await connectBrowser(chromium, options.browserUrl)
+    : await launchBrowser(chromium, cookieFile);
+  const pages = new Set();
+  // Where new pages open: the run's context until freshContext(); cookies are saved from the run's
+  let pageContext = context;
+
+  return {
+    name: 'playwright',
+    connected,
+
+    async open(url) {
+      const page = await pageContext.newPage();
+      pages.add(page);
+      try {
+        if (session.recorder) recordResponses(page, session.recorder);
+
+        // Block unnecessary resources; when replaying, answer the rest from the archive
+        await page.route('**/*', (route) => {
+          const request = route.request();
+          const type = request.resourceType();
+          if (type === 'image' || type === 'media' || type === 'font') {
+            route.abort();
+          } else if (!session.replayer) {
+            route.continue();
+          } else {
+            const recorded = session.replayer.match(request.method(), request.url());
+            if (recorded) {
+              route.fulfill({ status: recorded.status, headers: joinHeaders(recorded.headers), body: recorded.body });
+            } else {
+              route.abort('blockedbyclient');
+            }
+          }
+        });
+
+        const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        const status = response ? response.status() : 0;
+        if (status < 400) await page.waitForTimeout(settleMs);
+
+        return wrapPage(page, status, session.recorder);
+      } catch (e) {
+        await page.close();
+        throw e;
+      }
+    },
+
+    // Open pages from now on in a new context with no cookies or storage, after a block;
+    // pages already open keep theirs. An attached Chrome's own profile is what gets
+    // through, so it has no fresh context - returns false
+    async freshContext() {
+      if (connected) return false;
+      pageContext = await newContext(browser);
+      return true;
+    },
+
+    // An attached Chrome only loses the tabs this run opened; close() on a
+    // connectOverCDP browser disconnects and leaves the user's context alone
+    async close() {
+      await closeSession(session, options);
+      await closeOwnPages(pages);
+      if (!connected) await saveBrowserCookies(cookieFile, () => context.cookies());
+      await browser.close();
+    }
+  };
+}
+
+module.exports = { createEngine };
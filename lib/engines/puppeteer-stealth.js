@@ -0,0 +1,116 @@
+/**
+ * Engine: puppeteer-extra with the stealth plugin
+ * options.cookieFile: a cookies.txt loaded at launch and written back on close
+ * options.browserUrl: attach to a running Chrome (http://127.0.0.1:9222) instead of launching;
+ *   falls back to launching when nothing answers there
+ * options.record / options.replay: a session archive (HAR) to write every response to,
+ *   or to answer every request from - see lib/session-archive.js
+ */
+
+const {
+  CHROMIUM_PATH, CHROMIUM_ARGS, sleep, wrapPage, recordResponses, replayRequests,
+  isDebuggerReachable, closeOwnPages, saveBrowserCookies
+} = require('./browser-common');
+const { loadCookieJar, toBrowserCookies } = require('../cookie-jar');
+const { openSession, closeSession } = require('../session-archive');
+
+// Initialize puppeteer with stealth, starting from the saved cookie jar
+// Returns { browser, connected } - connected means it's someone's own Chrome, not ours to close
+async function initBrowser(options = {}) {
+  const { default: puppeteerExtra } = await import('puppeteer-extra');
+  const { default: StealthPlugin } = await import('puppeteer-extra-plugin-stealth');
+
+  puppeteerExtra.use(StealthPlugin());
+
+  if (options.browserUrl) {
+    if (await isDebuggerReachable(options.browserUrl)) {
+      console.log(`Attaching to Chrome at ${options.browserUrl}`);
+      // The real browser keeps its own cookies and window size
+      const browser = await puppeteerExtra.connect({ browserURL: options.browserUrl, defaultViewport: null });
+      return { browser, connected: true };
+    }
+    console.log(`No Chrome answering at ${options.browserUrl} - launching headless Chromium instead`);
+  }
+
+  const browser = await puppeteerExtra.launch({
+    headless: 'new',
+    executablePath: CHROMIUM_PATH,
+    args: CHROMIUM_ARGS
+  });
+
+  const cookies = loadCookieJar(options.cookieFile);
+  if (cookies.length > 0) {
+    await browser.setCookie(...toBrowserCookies(cookies));
+    console.log(`Loaded ${cookies.length} cookies from ${options.cookieFile}`);
+  }
+  return { browser, connected: false };
+}
+
+async function createEngine(options = {}) {
+  const settleMs = options.settleMs !== undefined ? options.settleMs : 5000;
+  const session = openSession(options);
+  // A replay starts from no cookies and mustn't write the recording's cookies over the real jar
+  const cookieFile = session.replayer ? null : options.cookieFile;
+  const { browser, connected } = await initBrowser({ ...options, cookieFile });
+  const pages = new Set();
+  // Where new pages open: the browser's own context until freshContext()
+  let context = browser;
+
+  return {
+    name: 'puppeteer-stealth',
+    connected,
+
+    async open(url) {
+      const page = await context.newPage();
+      pages.add(page);
+      try {
+        if (session.recorder) recordResponses(page, session.recorder);
+        if (session.replayer) await replayRequests(page, session.replayer);
+        if (!connected) await page.setViewport({ width: 1920, height: 1080 });
+        const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+        const status = response ? response.status() : 0;
+
+        if (status < 400) {
+          await sleep(settleMs);
+
+          // Try to accept cookies
+          try {
+            const cookieBtn = await page.$('button:has-text("Accept"), button:has-text("Accept All"), button:has-text("I Accept")');
+            if (cookieBtn) {
+              await cookieBtn.click();
+              await sleep(1000);
+            }
+          } catch {}
+        }
+
+        return wrapPage(page, status, session.recorder);
+      } catch (e) {
+        await page.close();
+        throw e;
+      }
+    },
+
+    // Open pages from now on in a new context with no cookies or storage, after a block;
+    // pages already open keep theirs. An attached Chrome's own profile is what gets
+    // through, so it has no fresh context - returns false
+    async freshContext() {
+      if (connected) return false;
+      context = await browser.createBrowserContext();
+      return true;
+    },
+
+    // An attached Chrome only loses the tabs this run opened
+    async close() {
+      await closeSession(session, options);
+      await closeOwnPages(pages);
+      if (connected) {
+        await browser.disconnect();
+        return;
+      }
+      await saveBrowserCookies(cookieFile, () => browser.cookies());
+      await browser.close();
+    }
+  };
+}
+
+module.exports = { createEngine };
@@ -0,0 +1,31 @@
+/**
+ * House Hunter - run and save settings shared by every engine and profile
+ *
+ * Search criteria (ZIPs, price, beds, baths, sqft, lot) and the listings file
+ * they're saved to come from a profile in profiles.json - see lib/profiles.js.
+ */
+
+const os = require('os');
+const path = require('path');
+
+const CONFIG = {
+  sources: ['realtor', 'redfin'],   // see lib/sources.js; a profile can narrow this
+  repoPath: '/home/mihr/.openclaw/workspace/willy-site',
+  listingsFile: 'listings.json',
+  statusFile: 'scrape-status.json',   // what the last run of each profile did - shown on the site
+  runIntervalHours: 11,   // how often cron runs the scraper; keep in step with the cron entry
+  browserUrl: null,       // e.g. 'http://127.0.0.1:9222' to attach to a running Chrome instead of launching
+  cookieFile: path.join(os.homedir(), '.house-hunt', 'cookies.txt'),   // Netscape cookies.txt the browser engines load and refresh - kept out of the public site repo
+  saveMode: 'merge',      // 'merge' keeps curated fields and unseen listings, 'replace' overwrites both (price and status history are kept)
+  offMarketAfter: 3,      // consecutive missed runs before a listing is marked offMarket
+  enrichDetails: true,    // visit each detail page for HOA, lot size, year built, description, photo
+  maxPages: 5,            // result pages followed per source and ZIP
+  concurrency: 2,         // searches in flight at once; each host still gets one request at a time
+  hostDelayMs: 3000,      // pause after a page from a host before the next request to it (lib/crawl-pool.js)...
+  jitterMs: 2000,         // ...plus a random 0 to jitterMs
+  timeBudgetMinutes: 45,  // no new request starts after this; what's left is reported as timed out
+  blockRetries: 2,        // tries again for a page blocked by anti-bot protection (lib/bot-check.js)...
+  blockBackoffMs: 30000   // ...after this, then doubling, each in a fresh browser context
+};
+
+module.exports = { CONFIG };
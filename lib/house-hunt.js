@@ -0,0 +1,281 @@
+/**
+ * House hunt run - scrape every source and ZIP, combine, check criteria, enrich, save, publish
+ *
+ * The same flow for every engine; only how pages are fetched differs (see lib/engines).
+ */
+
+const { getSources } = require('./sources');
+const { combineSources } = require('./listing-merge');
+const { filterByCriteria } = require('./criteria');
+const { enrichListing } = require('./detail-enrichment');
+const store = require('./listings-store');
+const runStatus = require('./run-status');
+const { runPool } = require('./crawl-pool');
+const { detectChallenge, classifyPage } = require('./bot-check');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Runs inside the page - true when the pagination links to a next page
+function hasNextPage(document, selectors) {
+  return (selectors.nextPage || []).some(selector => document.querySelector(selector) !== null);
+}
+
+// Open one results page: its HTTP status, whether it was blocked or empty (lib/bot-check.js),
+// its listings and whether there's a next page
+async function readResultsPage(engine, source, zip, url) {
+  const page = await engine.open(url);
+  try {
+    const cards = await page.evaluate(source.extractSearchCards, zip, source.SELECTORS);
+    const challenge = cards.length > 0 ? null : await page.evaluate(detectChallenge);
+    const { verdict, blockedBy } = classifyPage(page.status, cards.length, challenge);
+    if (verdict !== 'ok') {
+      return { status: page.status, verdict, blockedBy, listings: [], hasNext: false };
+    }
+    return {
+      status: page.status,
+      verdict,
+      blockedBy,
+      listings: source.toListings(cards, page.url),
+      hasNext: await page.evaluate(hasNextPage, source.SELECTORS)
+    };
+  } finally {
+    await page.close();
+  }
+}
+
+// readResultsPage, tried again while it's blocked: up to config.blockRetries more times,
+// waiting blockBackoffMs, then twice that, and so on, each time in a fresh browser context
+// where the engine has one. Stops early once the time budget is spent.
+async function readUnblocked(engine, source, zip, url, config) {
+  const retries = config.blockRetries || 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const page = await readResultsPage(engine, source, zip, url);
+    page.retries = attempt;
+    if (page.verdict !== 'blocked' || attempt >= retries || (engine.outOfTime && engine.outOfTime())) {
+      return page;
+    }
+
+    const wait = (config.blockBackoffMs || 0) * 2 ** attempt;
+    const fresh = engine.freshContext ? await engine.freshContext() : false;
+    console.log(`  🚧 ${source.label} ZIP ${zip} blocked (${page.blockedBy}) - retry ${attempt + 1}/${retries} in ${Math.round(wait / 1000)}s${fresh ? ' in a fresh browser context' : ''}`);
+    await sleep(wait);
+  }
+}
+
+// Scrape one source for one ZIP, following result pages up to config.maxPages
+// Returns the listings plus what happened (HTTP status, pages read, blocked and by what, empty,
+// timed out) for scrape-status.json. complete means every result page was read - a later
+// page that failed or was blocked, or the page cap, leaves it false.
+async function scrapeZip(engine, source, zip, config, onProgress) {
+  const maxPages = config.maxPages || 1;
+  const result = {
+    source: source.name,
+    zip,
+    url: null,
+    httpStatus: null,
+    count: 0,
+    pages: 0,
+    complete: false,
+    empty: false,
+    blocked: false,
+    blockedBy: null,
+    retries: 0,
+    timedOut: false,
+    error: null,
+    listings: []
+  };
+  const seen = new Set();
+
+  try {
+    result.url = source.searchUrl(zip, config);
+
+    for (let n = 1; n <= maxPages; n++) {
+      const url = source.pageUrl(result.url, n);
+      onProgress(`Navigating to ${url}...`);
+      let page;
+      try {
+        page = await readUnblocked(engine, source, zip, url, config);
+      } catch (e) {
+        // The first page failing fails the search; a later one keeps what came before
+        if (n === 1) throw e;
+        console.log(`  Stopped ${source.label} ZIP ${zip} at page ${n}:`, e.message);
+        break;
+      }
+
+      if (n === 1) result.httpStatus = page.status;
+      result.retries += page.retries;
+      if (page.verdict === 'blocked') {
+        console.log(`  ⚠️ ${source.label} ZIP ${zip}${n > 1 ? ` page ${n}` : ''} blocked by anti-bot protection (${page.blockedBy})`);
+        if (n > 1) break;
+        result.blocked = true;
+        result.blockedBy = page.blockedBy;
+        return result;
+      }
+      if (page.verdict === 'empty' && n === 1) {
+        result.empty = true;
+      }
+
+      // Featured listings can show up again on later pages
+      const fresh = page.listings.filter(listing => !seen.has(listing.id));
+      fresh.forEach(listing => seen.add(listing.id));
+      result.listings.push(...fresh);
+      result.pages = n;
+
+      if (!page.hasNext || fresh.length === 0) {
+        result.complete = true;
+        break;
+      }
+      if (n === maxPages) {
+        console.log(`  ${source.label} ZIP ${zip}: stopped at maxPages (${maxPages}) with more result pages left`);
+      }
+    }
+
+    result.count = result.listings.length;
+    onProgress(`Found ${result.count} ${source.label} listings in ZIP ${zip} (${result.pages} ${result.pages === 1 ? 'page' : 'pages'})`);
+    return result;
+  } catch (e) {
+    console.log(`  Error scraping ${source.label} ZIP ${zip}:`, e.message);
+    result.error = e.message;
+    result.timedOut = runStatus.isTimeout(e);
+    return result;
+  }
+}
+
+// Visit each listing's detail page and fill in what search cards don't show
+// Pacing between detail pages is the engine's (lib/crawl-pool.js); past the time budget the rest stay as they are
+async function enrichDetails(engine, listings, onProgress) {
+  const enriched = [];
+
+  for (const [i, listing] of listings.entries()) {
+    if (engine.outOfTime && engine.outOfTime()) {
+      console.log(`  Time budget spent - ${listings.length - i} listings left without detail pages`);
+      enriched.push(...listings.slice(i));
+      break;
+    }
+    onProgress(`Enriching ${i + 1}/${listings.length}: ${listing.address}`);
+    try {
+      enriched.push(await enrichListing(engine, listing));
+    } catch (e) {
+      console.log(`  Could not enrich ${listing.url}:`, e.message);
+      enriched.push(listing);
+    }
+  }
+
+  return enriched;
+}
+
+// One full run with an engine from lib/engines; the caller owns engine.close()
+// Writes the run into scrape-status.json whether it worked or not - except a dry run,
+// which only prints what it found
+async function runHouseHunt(engine, config, onProgress) {
+  const run = runStatus.startRun(config, engine.connected ? `${engine.name} (attached Chrome)` : engine.name);
+  if (config.dryRun) {
+    const result = await scrapeAndSave(engine, config, run, onProgress);
+    printDryRun(run, result.listings);
+    return result;
+  }
+  try {
+    const result = await scrapeAndSave(engine, config, run, onProgress);
+    runStatus.saveRunStatus(runStatus.finishRun(run, result.totals), config);
+    store.gitPush(config, result.message);
+    return result;
+  } catch (e) {
+    runStatus.saveRunStatus(runStatus.finishRun(run, { error: e.message }), config);
+    throw e;
+  }
+}
+
+// Scrape every source and ZIP into run.searches, then combine, filter, enrich and save
+async function scrapeAndSave(engine, config, run, onProgress) {
+  const sources = getSources(config.sources);
+  let allListings = [];
+  const loaded = new Map(config.zips.map(zip => [zip, 0]));
+
+  // ZIP by ZIP, alternating sources, so the workers are mostly on different hosts
+  const searches = config.zips.flatMap(zip => sources.map(source => ({ source, zip })));
+  const results = await runPool(searches, config.concurrency,
+    ({ source, zip }) => scrapeZip(engine, source, zip, config, onProgress));
+
+  // Recorded source by source, in ZIP order
+  for (const source of sources) {
+    for (const { listings, ...search } of results.filter(r => r.source === source.name)) {
+      run.searches.push(search);
+      allListings.push(...listings);
+      if (search.complete && listings.length > 0) loaded.set(search.zip, loaded.get(search.zip) + 1);
+    }
+  }
+
+  // A ZIP only counts as covered when every source read all of its result pages - a house
+  // isn't delisted just because the other source blocked us or it was past the page cap
+  const coveredZips = config.zips.filter(zip => loaded.get(zip) === sources.length);
+
+  // Nothing loaded - every search blocked or failed: the listings file stays exactly as it
+  // was, lastChecked included, so the site shows the data as stale instead of as checked
+  const outcome = runStatus.runOutcome(run.searches);
+  if (outcome === 'blocked' || outcome === 'failed') {
+    console.log(`\nNo search loaded (${outcome}) - leaving ${config.listingsFile} as it was`);
+    return {
+      listings: [],
+      coveredZips: [],
+      totals: { listingsFound: 0, listingsSaved: 0 },
+      message: `Scrape ${outcome} - listings unchanged`
+    };
+  }
+
+  const scraped = allListings.length;
+  allListings = combineSources(allListings);
+  console.log(`\nTotal listings found: ${scraped} (${allListings.length} after combining sources)`);
+
+  // Apply every CONFIG bound now that the fields are extracted
+  const matching = filterByCriteria(allListings, config);
+  console.log(`Dropped ${allListings.length - matching.length} listings outside the search criteria`);
+  allListings = matching;
+
+  if (config.enrichDetails && allListings.length > 0) {
+    console.log(`\nEnriching ${allListings.length} listings from detail pages...`);
+    allListings = await enrichDetails(engine, allListings, onProgress);
+
+    // Detail pages fill in fields the cards don't show (lot size), so check the bounds again
+    const stillMatching = filterByCriteria(allListings, config);
+    if (stillMatching.length < allListings.length) {
+      console.log(`Dropped ${allListings.length - stillMatching.length} listings the detail pages showed are outside the search criteria`);
+    }
+    allListings = stillMatching;
+  }
+
+  const totals = { listingsFound: scraped, listingsSaved: allListings.length };
+  if (config.dryRun) {
+    return { listings: allListings, coveredZips, totals };
+  }
+  if (allListings.length > 0) {
+    allListings = await store.downloadImages(allListings, config, onProgress);
+    // Replacing would drop every listing the searches that didn't load would have found
+    const saveMode = outcome === 'partial' ? 'merge' : config.saveMode;
+    if (saveMode !== config.saveMode) console.log('Some searches did not load - merging instead of replacing');
+    store.saveListings(allListings, coveredZips, { ...config, saveMode });
+    return { listings: allListings, coveredZips, totals };
+  }
+
+  // Update timestamp even if no listings
+  store.updateTimestamp(config);
+  return { listings: allListings, coveredZips, totals, message: 'Update check timestamp (no new listings)' };
+}
+
+// What a dry run (--replay) found, in a form two runs can be diffed by
+function printDryRun(run, listings) {
+  console.log('\nSearches:');
+  for (const search of run.searches) {
+    console.log(`  ${search.source} ${search.zip}: HTTP ${search.httpStatus}, ${search.count} cards in ${search.pages} pages${search.blockedBy ? ` (blocked: ${search.blockedBy})` : ''}${search.error ? ` (${search.error})` : ''}`);
+  }
+  console.log(`\n${listings.length} listings (dry run, nothing saved):`);
+  for (const listing of listings) {
+    console.log(`  ${listing.id}  ${listing.price}  ${listing.beds}bd/${listing.baths}ba  ${listing.address}, ${listing.city}`);
+  }
+}
+
+module.exports = {
+  scrapeZip,
+  enrichDetails,
+  runHouseHunt
+};
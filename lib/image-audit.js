@@ -0,0 +1,96 @@
+/**
+ * Image audit - compare the image paths in listings.json with what's in images/
+ *
+ * broken      a listing points at a file that doesn't exist
+ * orphans     an image file no listing points at
+ * superseded  "foo.jpg" when "foo-v2.jpg" exists (the old cache-busting rename)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The local image fields, on a listing and on each of its photos
+const IMAGE_FIELDS = ['image', 'thumbnail'];
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|gif)$/i;
+
+// Every image file under dir, as site-root-relative posix paths
+function listImageFiles(repoPath, dir) {
+  const root = path.join(repoPath, dir);
+  if (!fs.existsSync(root)) return [];
+
+  return fs.readdirSync(root, { withFileTypes: true }).flatMap(entry => {
+    const relative = path.posix.join(dir, entry.name);
+    if (entry.isDirectory()) return listImageFiles(repoPath, relative);
+    return IMAGE_EXTENSIONS.test(entry.name) ? [relative] : [];
+  });
+}
+
+// "images/foo-v2.jpg" -> { base: "images/foo.jpg", version: 2 }
+function parseVersion(file) {
+  const match = file.match(/^(.*)-v(\d+)(\.[a-z]+)$/i);
+  if (!match) return { base: file, version: 1 };
+  return { base: `${match[1]}${match[3]}`, version: parseInt(match[2], 10) };
+}
+
+// Every local image a listing points at: hero, thumbnail and gallery photos
+function imageReferences(listing) {
+  const references = IMAGE_FIELDS
+    .filter(field => listing[field])
+    .map(field => ({ field, path: listing[field] }));
+
+  (listing.photos || []).forEach((photo, i) => {
+    IMAGE_FIELDS.filter(field => photo && photo[field]).forEach(field => {
+      references.push({ field: `photos[${i}].${field}`, path: photo[field] });
+    });
+  });
+  return references;
+}
+
+// options.sharedWith: the other listings files saving photos into the same images/ directory
+// (every profile shares one repoPath) - what they point at is no orphan. Their broken
+// references are their own audit's business
+function auditImages(data, repoPath, options = {}) {
+  const files = listImageFiles(repoPath, options.imagesDir || 'images');
+  const fileSet = new Set(files);
+  const referenced = new Set();
+  const broken = [];
+
+  for (const other of options.sharedWith || []) {
+    other.listings.flatMap(imageReferences).forEach(reference => referenced.add(reference.path));
+  }
+
+  for (const listing of data.listings) {
+    for (const { field, path: image } of imageReferences(listing)) {
+      referenced.add(image);
+      if (!fileSet.has(image)) broken.push({ id: listing.id, address: listing.address, field, path: image });
+    }
+  }
+
+  const orphans = files.filter(file => !referenced.has(file));
+
+  // Group files by their unversioned name, anything below the newest version is superseded
+  const newest = new Map();
+  for (const file of files) {
+    const { base, version } = parseVersion(file);
+    const current = newest.get(base);
+    if (!current || version > current.version) newest.set(base, { file, version });
+  }
+  const superseded = files
+    .filter(file => newest.get(parseVersion(file).base).file !== file)
+    .map(file => ({ file, by: newest.get(parseVersion(file).base).file }));
+
+  return { files, broken, orphans, superseded };
+}
+
+// Delete unreferenced files - never touches anything a listing points at
+function pruneOrphans(repoPath, orphans) {
+  for (const file of orphans) {
+    fs.unlinkSync(path.join(repoPath, file));
+  }
+  return orphans.length;
+}
+
+module.exports = {
+  auditImages,
+  pruneOrphans
+};
@@ -0,0 +1,161 @@
+/**
+ * Image pipeline - hero photo URL in, verified JPEG + card thumbnail out
+ *
+ * Automates the ritual in LESSONS.md:
+ * - Realtor.com serves WebP; ask the CDN for .jpg first
+ * - Check the bytes are really JPEG (a .jpg name proves nothing)
+ * - Convert WebP that slips through, reject anything else (block pages, PNG placeholders)
+ * - Name files by content hash so GitHub Pages caching can never serve a stale photo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const DEFAULTS = {
+  imagesDir: 'images',
+  thumbsDir: 'images/thumbs',
+  thumbWidth: 480,
+  thumbHeight: 360,
+  convertWebp: true,
+  timeout: 30000,
+  maxPhotos: 12          // gallery photos kept per listing
+};
+
+// Identify an image by its magic bytes
+function detectFormat(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.length >= 8 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') return 'png';
+  return 'unknown';
+}
+
+// Realtor.com CDN: the same photo is available as .jpg if you ask for it
+function preferJpegUrl(url) {
+  if (/rdcpix\.com/.test(url)) return url.replace(/\.webp(\?.*)?$/i, '.jpg$1');
+  return url;
+}
+
+// Short filesystem-safe slug from an address ("760 Bellegray Rd" -> "760-bellegray-rd")
+function slugify(text) {
+  return (text || 'listing')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60) || 'listing';
+}
+
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 12);
+}
+
+// Download an image with the Referer the CDN expects
+async function download(url, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Referer': 'https://www.realtor.com/'
+      }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return Buffer.from(await response.arrayBuffer());
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Turn downloaded bytes into a verified JPEG, or throw
+async function toJpeg(buffer, options) {
+  const format = detectFormat(buffer);
+  if (format === 'jpeg') return buffer;
+  if (format === 'webp' && options.convertWebp) {
+    return sharp(buffer).jpeg({ quality: 85 }).toBuffer();
+  }
+  throw new Error(`Not a JPEG (detected ${format})`);
+}
+
+// Write a file unless an identical one (same hash, same name) is already there
+function writeOnce(file, buffer) {
+  if (fs.existsSync(file)) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, buffer);
+}
+
+/**
+ * Fetch one image and store it under repoPath.
+ * Returns { image, thumbnail, hash } with paths relative to the site root.
+ */
+async function acquireImage(url, repoPath, name, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+
+  let buffer = await download(preferJpegUrl(url), opts.timeout);
+  if (detectFormat(buffer) !== 'jpeg' && preferJpegUrl(url) !== url) {
+    buffer = await download(url, opts.timeout); // CDN refused the .jpg rewrite
+  }
+
+  const jpeg = await toJpeg(buffer, opts);
+  const hash = contentHash(jpeg);
+  const filename = `${slugify(name)}-${hash}.jpg`;
+
+  const thumb = await sharp(jpeg)
+    .resize(opts.thumbWidth, opts.thumbHeight, { fit: 'cover' })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+  const image = path.posix.join(opts.imagesDir, filename);
+  const thumbnail = path.posix.join(opts.thumbsDir, filename);
+  writeOnce(path.join(repoPath, image), jpeg);
+  writeOnce(path.join(repoPath, thumbnail), thumb);
+
+  return { image, thumbnail, hash };
+}
+
+// Give a listing a local photo from its imageUrl
+// Failures are logged and leave the listing as it was - a missing photo never blocks a save
+async function acquireListingImage(listing, repoPath, options = {}) {
+  if (!listing.imageUrl) return listing;
+
+  try {
+    const { image, thumbnail } = await acquireImage(listing.imageUrl, repoPath, listing.address, options);
+    return { ...listing, image, thumbnail };
+  } catch (e) {
+    console.log(`  Image rejected for ${listing.address}: ${e.message}`);
+    return listing;
+  }
+}
+
+// Download a listing's gallery from photoUrls into photos: [{ image, thumbnail }]
+// Photos that fail are skipped; the listing is unchanged if none succeed
+async function acquireListingPhotos(listing, repoPath, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const urls = (listing.photoUrls || []).slice(0, opts.maxPhotos);
+  const photos = [];
+  const hashes = new Set();
+
+  for (const url of urls) {
+    try {
+      const { image, thumbnail, hash } = await acquireImage(url, repoPath, listing.address, opts);
+      if (hashes.has(hash)) continue; // the same photo at two sizes or URLs
+      hashes.add(hash);
+      photos.push({ image, thumbnail });
+    } catch (e) {
+      console.log(`  Gallery photo rejected for ${listing.address}: ${e.message}`);
+    }
+  }
+
+  return photos.length > 0 ? { ...listing, photos } : listing;
+}
+
+module.exports = {
+  detectFormat,
+  preferJpegUrl,
+  slugify,
+  acquireImage,
+  acquireListingImage,
+  acquireListingPhotos
+};
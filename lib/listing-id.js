@@ -0,0 +1,112 @@
+/**
+ * Listing IDs - derived from the property itself, never from card position
+ *
+ *   realtor-M1234567890   Realtor.com property ID from the detail URL
+ *   redfin-52069394       Redfin home ID from the detail URL
+ *   addr-746-ladino-ln-29710   normalized street address + ZIP fallback
+ */
+
+// Street suffixes and directionals as USPS abbreviates them
+const ABBREVIATIONS = {
+  avenue: 'ave', boulevard: 'blvd', circle: 'cir', court: 'ct', cove: 'cv',
+  drive: 'dr', highway: 'hwy', lane: 'ln', parkway: 'pkwy', place: 'pl',
+  road: 'rd', street: 'st', terrace: 'ter', trail: 'trl',
+  north: 'n', south: 's', east: 'e', west: 'w',
+  apartment: 'unit', apt: 'unit', suite: 'unit', ste: 'unit'
+};
+
+// IDs that came from the old hand-entered ("1".."31") or positional ("29710-003") schemes
+const LEGACY_ID_PATTERN = /^(\d+|\d{5}-\d{3})$/;
+
+// Pull the Realtor.com property ID out of a detail URL
+// e.g. .../realestateandhomes-detail/746-Ladino-Ln_Clover_SC_29710_M12345-67890
+function realtorPropertyId(url) {
+  if (!url) return null;
+  const match = url.match(/realestateandhomes-detail\/[^?#]*_M(\d+)-(\d+)/);
+  return match ? `M${match[1]}${match[2]}` : null;
+}
+
+// Pull the Redfin home ID out of a detail URL
+// e.g. https://www.redfin.com/SC/Clover/746-Ladino-Ln-29710/home/52067385
+function redfinHomeId(url) {
+  if (!url) return null;
+  const match = url.match(/redfin\.com\/.*\/home\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+// Normalize a street address so "746 Ladino Lane" and "746 Ladino Ln." compare equal
+// Anything after the first comma (city, state, ZIP) is dropped
+function normalizeAddress(address) {
+  if (!address) return null;
+
+  const street = address.split(',')[0].toLowerCase().replace(/#\s*/g, ' unit ');
+  const words = street
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word);
+
+  return words.length > 0 ? words.join('-') : null;
+}
+
+// Split "746 Ladino Ln, Clover, SC 29710" into its parts (null if it isn't that shape)
+function splitAddress(text) {
+  if (!text) return null;
+  const match = text.replace(/\s+/g, ' ').trim().match(/^(.+?),\s*([^,]+?),\s*([A-Z]{2})\s+(\d{5})(?:-\d{4})?$/);
+  if (!match) return null;
+  return { address: match[1], city: match[2], state: match[3], zip: match[4] };
+}
+
+// Address key used as the fallback ID and for matching across sources
+function addressKey(listing) {
+  const street = normalizeAddress(listing.address);
+  if (!street || !/\d/.test(street)) return null; // "Address not shown" is not a key
+  return `addr-${street}${listing.zip ? `-${listing.zip}` : ''}`;
+}
+
+// Stable ID for a listing: property ID from the URL, else the address key
+function listingId(listing) {
+  const realtorId = realtorPropertyId(listing.url);
+  if (realtorId) return `realtor-${realtorId}`;
+
+  const redfinId = redfinHomeId(listing.url);
+  if (redfinId) return `redfin-${redfinId}`;
+
+  return addressKey(listing);
+}
+
+// Which site a listing URL belongs to ('realtor', 'redfin', or null)
+function sourceName(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  const onSite = (domain) => host === domain || host.endsWith(`.${domain}`);
+  if (onSite('realtor.com')) return 'realtor';
+  if (onSite('redfin.com')) return 'redfin';
+  return null;
+}
+
+function isLegacyId(id) {
+  return LEGACY_ID_PATTERN.test(String(id));
+}
+
+// Every key a listing can be recognised by: its ID, old IDs it replaced, and its address
+function listingKeys(listing) {
+  const keys = [listing.id, ...(listing.aliases || []), addressKey(listing)];
+  return keys.filter(Boolean).map(String);
+}
+
+module.exports = {
+  realtorPropertyId,
+  redfinHomeId,
+  normalizeAddress,
+  splitAddress,
+  addressKey,
+  listingId,
+  sourceName,
+  isLegacyId,
+  listingKeys
+};
@@ -0,0 +1,279 @@
+/**
+ * Listing merge - fold one scrape into listings.json without losing data
+ *
+ * - Scraped fields only overwrite when the scrape actually found a value
+ * - Curated fields (filled in by hand or by detail-page passes) are never overwritten
+ * - Listings missing from a run are kept, and marked offMarket after N misses in a row
+ * - Every price and status change is appended to priceHistory / statusHistory
+ * - The same house from Realtor.com and Redfin becomes one listing with both URLs in sources
+ */
+
+const { listingKeys, addressKey } = require('./listing-id');
+const { parseNumber, normalizeStatus } = require('./listing-schema');
+
+// Fields from the update procedure that a search-card scrape can't be trusted to know
+// image and thumbnail travel together so a card never shows one photo and links another
+const CURATED_FIELDS = ['description', 'image', 'thumbnail', 'photos', 'hoa', 'lotSize', 'yearBuilt', 'notes'];
+
+// Bookkeeping fields the merge owns - never copied from a scrape
+const MERGE_FIELDS = [
+  'id', 'aliases', 'sources', 'isNew', 'firstSeen', 'lastSeen', 'missedRuns', 'offMarket',
+  'priceHistory', 'statusHistory', 'extractedBy'
+];
+
+// Status recorded in statusHistory while a listing is missing from the search results
+const OFF_MARKET_STATUS = 'Off Market';
+
+// Text the scrapers write when a field couldn't be read
+const PLACEHOLDERS = ['', 'Address not shown', 'Price not shown', 'Unknown'];
+
+const DEFAULT_OFF_MARKET_AFTER = 3;
+
+function hasValue(value) {
+  return value !== null && value !== undefined && !PLACEHOLDERS.includes(value);
+}
+
+// Append to priceHistory when the price differs from the last recorded one
+function recordPrice(history, price, date) {
+  const amount = parseNumber(price);
+  const entries = history ? [...history] : [];
+  if (amount === null) return entries;
+
+  const last = entries[entries.length - 1];
+  if (last && last.price === amount) return entries;
+
+  // Two changes on the same day: keep only the latest
+  if (last && last.date === date) entries.pop();
+  entries.push({ date, price: amount });
+  return entries;
+}
+
+// Append to statusHistory when the status differs from the last recorded one
+function recordStatus(history, status, date) {
+  const entries = history ? [...history] : [];
+  if (!status) return entries;
+  const value = status === OFF_MARKET_STATUS ? status : normalizeStatus(status);
+
+  const last = entries[entries.length - 1];
+  if (last && last.status === value) return entries;
+
+  // Two changes on the same day: keep only the latest
+  if (last && last.date === date) entries.pop();
+  entries.push({ date, status: value });
+  return entries;
+}
+
+// Union two sources lists; a source seen again keeps its newest URL
+function mergeSources(existing, scraped) {
+  const byName = new Map();
+  [...(existing || []), ...(scraped || [])].forEach(source => byName.set(source.name, source));
+  return [...byName.values()];
+}
+
+// Update an existing listing with what one scrape saw
+function mergeListing(existing, scraped, date) {
+  const merged = { ...existing };
+
+  for (const [field, value] of Object.entries(scraped)) {
+    if (MERGE_FIELDS.includes(field) || !hasValue(value)) continue;
+    if (CURATED_FIELDS.includes(field) && hasValue(existing[field])) continue;
+    merged[field] = value;
+  }
+
+  // Only credit a strategy for values that were actually taken from this scrape
+  if (scraped.extractedBy) {
+    merged.extractedBy = { ...(existing.extractedBy || {}) };
+    for (const [field, strategy] of Object.entries(scraped.extractedBy)) {
+      if (merged[field] === scraped[field]) merged.extractedBy[field] = strategy;
+    }
+  }
+
+  // Keep the ID history already has, and remember the one this source uses
+  const scrapedIds = [scraped.id, ...(scraped.aliases || [])].filter(id => id && id !== existing.id);
+  if (scrapedIds.length > 0) {
+    merged.aliases = [...new Set([...(existing.aliases || []), ...scrapedIds])];
+  }
+
+  if (scraped.sources) merged.sources = mergeSources(existing.sources, scraped.sources);
+  merged.priceHistory = recordPrice(existing.priceHistory, merged.price, date);
+  merged.statusHistory = recordStatus(existing.statusHistory, merged.status, date);
+  merged.isNew = false;
+  merged.lastSeen = date;
+  merged.missedRuns = 0;
+  merged.offMarket = false;
+  return merged;
+}
+
+// A listing as a 'replace' save writes it: the scrape's values over the previous copy's,
+// keeping the history - firstSeen, aliases, price and status changes - and a status or
+// photos the scrape didn't bring. downloadImages skips houses whose saved copy has photos,
+// so dropping them here would lose them for good. previous is null for a house the file didn't have
+function replaceListing(previous, scraped, date) {
+  if (!previous) return addListing(scraped, date);
+
+  const status = hasValue(scraped.status) ? scraped.status : previous.status;
+  const ids = [previous.id, ...(previous.aliases || []), ...(scraped.aliases || [])].filter(id => id && id !== scraped.id);
+  const photos = {};
+  if (!hasValue(scraped.image) && hasValue(previous.image)) {
+    photos.image = previous.image;
+    photos.thumbnail = previous.thumbnail || null;
+  }
+  if (!(scraped.photos && scraped.photos.length > 0) && previous.photos && previous.photos.length > 0) {
+    photos.photos = previous.photos;
+  }
+  return {
+    ...scraped,
+    ...photos,
+    status,
+    aliases: ids.length > 0 ? [...new Set(ids)] : scraped.aliases,
+    priceHistory: recordPrice(previous.priceHistory, scraped.price, date),
+    statusHistory: recordStatus(previous.statusHistory, status, date),
+    isNew: false,
+    firstSeen: previous.firstSeen || date,
+    lastSeen: date,
+    missedRuns: 0,
+    offMarket: false
+  };
+}
+
+// Count one more run a listing didn't show up in
+function markMissed(existing, date, fallbackLastSeen, offMarketAfter) {
+  const missedRuns = (existing.missedRuns || 0) + 1;
+  const offMarket = missedRuns >= offMarketAfter;
+
+  return {
+    ...existing,
+    isNew: false,
+    lastSeen: existing.lastSeen || fallbackLastSeen,
+    missedRuns,
+    offMarket,
+    statusHistory: offMarket && !existing.offMarket
+      ? recordStatus(existing.statusHistory, OFF_MARKET_STATUS, date)
+      : existing.statusHistory
+  };
+}
+
+// A brand-new listing from this run - on the search results, so Active unless the scrape says otherwise
+function addListing(scraped, date) {
+  const status = normalizeStatus(scraped.status);
+  return {
+    ...scraped,
+    status,
+    priceHistory: recordPrice([], scraped.price, date),
+    statusHistory: recordStatus([], status, date),
+    isNew: true,
+    firstSeen: date,
+    lastSeen: date,
+    missedRuns: 0,
+    offMarket: false
+  };
+}
+
+/**
+ * Fold one run's results from several sources into one listing per house.
+ * Houses are matched by normalized street address + ZIP. The first source's values
+ * win; later sources only fill fields it couldn't read. Listings without a usable
+ * address are kept as they are.
+ */
+function combineSources(scrapedListings) {
+  const combined = [];
+  const byAddress = new Map();
+
+  for (const scraped of scrapedListings) {
+    const key = addressKey(scraped);
+    if (!key || !byAddress.has(key)) {
+      if (key) byAddress.set(key, combined.length);
+      combined.push({ ...scraped });
+      continue;
+    }
+
+    const first = combined[byAddress.get(key)];
+    for (const [field, value] of Object.entries(scraped)) {
+      if (MERGE_FIELDS.includes(field) || !hasValue(value) || hasValue(first[field])) continue;
+      first[field] = value;
+      if (scraped.extractedBy && scraped.extractedBy[field]) {
+        first.extractedBy = { ...(first.extractedBy || {}), [field]: scraped.extractedBy[field] };
+      }
+    }
+    first.sources = mergeSources(first.sources, scraped.sources);
+    if (scraped.id && scraped.id !== first.id) {
+      first.aliases = [...new Set([...(first.aliases || []), scraped.id, ...(scraped.aliases || [])])];
+    }
+  }
+
+  return combined;
+}
+
+/**
+ * Merge scraped listings into the existing ones.
+ *
+ * options.now             Date of this run (default: now)
+ * options.offMarketAfter  Consecutive misses before a listing is marked offMarket
+ * options.coveredZips     ZIPs this run actually loaded - listings elsewhere are not
+ *                         counted as missed, so a blocked ZIP doesn't delist anything
+ * options.fallbackLastSeen  lastSeen for old listings that never recorded one
+ *
+ * Returns { listings, added, updated, missed }
+ */
+function mergeListings(existingListings, scrapedListings, options = {}) {
+  const now = options.now || new Date();
+  const date = now.toISOString().slice(0, 10);
+  const offMarketAfter = options.offMarketAfter || DEFAULT_OFF_MARKET_AFTER;
+  const coveredZips = options.coveredZips ? new Set(options.coveredZips) : null;
+  const fallbackLastSeen = options.fallbackLastSeen || null;
+
+  const merged = existingListings.map(l => ({ ...l }));
+  const byKey = new Map();
+  merged.forEach((listing, index) => {
+    listingKeys(listing).forEach(key => {
+      if (!byKey.has(key)) byKey.set(key, index);
+    });
+  });
+
+  const seen = new Set();
+  let added = 0;
+  let updated = 0;
+
+  for (const scraped of scrapedListings) {
+    const key = listingKeys(scraped).find(k => byKey.has(k));
+
+    if (key === undefined) {
+      const index = merged.push(addListing(scraped, date)) - 1;
+      listingKeys(merged[index]).forEach(k => byKey.set(k, index));
+      seen.add(index);
+      added++;
+      continue;
+    }
+
+    const index = byKey.get(key);
+    merged[index] = mergeListing(merged[index], scraped, date);
+    listingKeys(merged[index]).forEach(k => {
+      if (!byKey.has(k)) byKey.set(k, index);
+    });
+    if (!seen.has(index)) updated++;
+    seen.add(index);
+  }
+
+  let missed = 0;
+  merged.forEach((listing, index) => {
+    if (seen.has(index)) return;
+    if (coveredZips && !coveredZips.has(listing.zip)) return;
+    merged[index] = markMissed(listing, date, fallbackLastSeen, offMarketAfter);
+    missed++;
+  });
+
+  return { listings: merged, added, updated, missed };
+}
+
+module.exports = {
+  CURATED_FIELDS,
+  DEFAULT_OFF_MARKET_AFTER,
+  OFF_MARKET_STATUS,
+  recordPrice,
+  recordStatus,
+  mergeSources,
+  mergeListing,
+  replaceListing,
+  combineSources,
+  mergeListings
+};
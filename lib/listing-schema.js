@@ -0,0 +1,283 @@
+/**
+ * Listing schema - validation and migration for listings.json
+ * Shared by every house scraper so the site never gets data it can't render
+ */
+
+const { listingId, sourceName, isLegacyId } = require('./listing-id');
+// Shared with the site, so the pages read a lot size or HOA the way a save does
+const { HOA_PATTERN, parseNumber, hoaMonthly, lotAcres } = require('../js/listing-values');
+
+// Statuses the site knows how to badge
+const STATUSES = ['Active', 'Pending', 'Contingent', 'Coming Soon', 'Sold'];
+
+const DEFAULT_STATUS = 'Active';
+
+// Field rules: type check plus whether null is allowed
+const FIELDS = {
+  id: { type: 'string', nullable: false },
+  address: { type: 'string', nullable: false },
+  city: { type: 'string', nullable: false },
+  state: { type: 'string', nullable: false },
+  zip: { type: 'string', nullable: false },
+  price: { type: 'number', nullable: true },
+  beds: { type: 'number', nullable: true },
+  baths: { type: 'number', nullable: true },
+  sqft: { type: 'number', nullable: true },
+  hoa: { type: 'string', nullable: true },
+  status: { type: 'string', nullable: false },
+  url: { type: 'string', nullable: false }
+};
+
+// Optional fields - checked only when present
+const OPTIONAL_FIELDS = {
+  hoaMonthly: { type: 'number', nullable: true },
+  lotSize: { type: 'string', nullable: true },
+  latitude: { type: 'number', nullable: true },
+  longitude: { type: 'number', nullable: true },
+  yearBuilt: { type: 'number', nullable: true },
+  description: { type: 'string', nullable: true },
+  image: { type: 'string', nullable: true },
+  imageUrl: { type: 'string', nullable: true },
+  thumbnail: { type: 'string', nullable: true },
+  photoUrls: { type: 'array', nullable: false },
+  photos: { type: 'array', nullable: false },
+  isNew: { type: 'boolean', nullable: false },
+  notes: { type: 'string', nullable: true },
+  aliases: { type: 'array', nullable: false },
+  sources: { type: 'array', nullable: false },
+  firstSeen: { type: 'string', nullable: true },
+  lastSeen: { type: 'string', nullable: true },
+  missedRuns: { type: 'number', nullable: false },
+  offMarket: { type: 'boolean', nullable: false },
+  priceHistory: { type: 'array', nullable: false },
+  statusHistory: { type: 'array', nullable: false },
+  extractedBy: { type: 'object', nullable: false },
+  criteriaMatch: { type: 'object', nullable: false }
+};
+
+// HOA text that means there isn't one
+const NO_HOA_PATTERN = /^(none|no hoa|n\/a|null|\$?0(\.00)?)$/i;
+
+// Normalize HOA text to "$150/mo" or "$1,800/year" (null when there's no HOA, or no amount
+// to go by - "Yes" or "Required" can't be saved as a fee)
+function normalizeHoa(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') {
+    return value > 0 ? `$${value.toLocaleString('en-US')}/mo` : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  if (!text || NO_HOA_PATTERN.test(text)) return null;
+
+  const amount = parseNumber(text);
+  if (amount === null || amount === 0) return null;
+
+  const semiAnnual = /(semi[-\s]?annual|half[-\s]?year)/i.test(text);
+  const yearly = /(yr|year|annual|annually)/i.test(text);
+  const quarterly = /(qtr|quarter)/i.test(text);
+  const perYear = (times) => `$${(amount * times).toLocaleString('en-US', { maximumFractionDigits: 2 })}/year`;
+
+  if (semiAnnual) return perYear(2);
+  if (quarterly) return perYear(4);
+  return `$${amount.toLocaleString('en-US', { maximumFractionDigits: 2 })}/${yearly ? 'year' : 'mo'}`;
+}
+
+// Map scraped status text onto one of STATUSES
+function normalizeStatus(value) {
+  if (typeof value !== 'string' || !value.trim()) return DEFAULT_STATUS;
+
+  const text = value.trim().toLowerCase();
+  const known = STATUSES.find(s => s.toLowerCase() === text);
+  if (known) return known;
+  if (text.includes('contingent')) return 'Contingent';
+  if (text.includes('pending') || text.includes('under contract')) return 'Pending';
+  if (text.includes('coming soon')) return 'Coming Soon';
+  if (text.includes('sold')) return 'Sold';
+  return DEFAULT_STATUS; // "For Sale", "New", "Price reduced", ...
+}
+
+// Bring one listing up to the current schema without losing any data
+function migrateListing(listing) {
+  const migrated = { ...listing };
+
+  if (migrated.id !== undefined && migrated.id !== null) migrated.id = String(migrated.id);
+  if (typeof migrated.zip === 'number') migrated.zip = String(migrated.zip).padStart(5, '0');
+
+  // Replace hand-entered and positional IDs, remembering the old one so history carries over
+  if (!migrated.id || isLegacyId(migrated.id)) {
+    const stableId = listingId(migrated);
+    if (stableId) {
+      if (migrated.id) migrated.aliases = [...new Set([...(migrated.aliases || []), migrated.id])];
+      migrated.id = stableId;
+    }
+  }
+
+  // Listings from before cross-source merging: the one URL they have is their only source
+  if (!migrated.sources && sourceName(migrated.url)) {
+    migrated.sources = [{ name: sourceName(migrated.url), url: migrated.url }];
+  }
+
+  migrated.price = parseNumber(migrated.price);
+  for (const field of ['beds', 'baths', 'sqft']) {
+    migrated[field] = parseNumber(migrated[field]);
+  }
+  if ('yearBuilt' in migrated) migrated.yearBuilt = parseNumber(migrated.yearBuilt);
+
+  // HOA text without an amount is saved as null rather than failing the whole file
+  if (typeof migrated.hoa === 'string' && migrated.hoa.trim() && !NO_HOA_PATTERN.test(migrated.hoa.trim()) && parseNumber(migrated.hoa) === null) {
+    console.log(`⚠️ Listing ${migrated.id}: HOA "${migrated.hoa}" has no amount - saved as null`);
+  }
+  migrated.hoa = normalizeHoa(migrated.hoa);
+  migrated.hoaMonthly = hoaMonthly(migrated.hoa);
+  migrated.status = normalizeStatus(migrated.status);
+
+  return migrated;
+}
+
+// Migrate a whole listings.json document
+// Listings from before price tracking are assumed first seen when the file was last updated
+function migrateData(data) {
+  const fileDate = data.lastUpdated ? data.lastUpdated.slice(0, 10) : null;
+
+  return {
+    ...data,
+    listings: (data.listings || []).map(listing => {
+      const migrated = migrateListing(listing);
+      if (!migrated.firstSeen && fileDate) migrated.firstSeen = fileDate;
+      if (!migrated.priceHistory && migrated.price !== null && migrated.firstSeen) {
+        migrated.priceHistory = [{ date: migrated.firstSeen, price: migrated.price }];
+      }
+      if (!migrated.statusHistory && migrated.firstSeen) {
+        migrated.statusHistory = [{ date: migrated.firstSeen, status: migrated.status }];
+      }
+      return migrated;
+    })
+  };
+}
+
+// Check a value against a field rule, returning an error message or null
+function checkField(name, value, rule) {
+  if (value === undefined) return `missing "${name}"`;
+  if (value === null) return rule.nullable ? null : `"${name}" must not be null`;
+  if (rule.type === 'array') return Array.isArray(value) ? null : `"${name}" must be an array`;
+  if (typeof value !== rule.type) return `"${name}" must be a ${rule.type}, got ${JSON.stringify(value)}`;
+  if (rule.type === 'number' && !Number.isFinite(value)) return `"${name}" must be a finite number`;
+  return null;
+}
+
+// Validate one listing, returning a list of error messages
+function validateListing(listing) {
+  if (!listing || typeof listing !== 'object') return ['listing is not an object'];
+
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(FIELDS)) {
+    const error = checkField(name, listing[name], rule);
+    if (error) errors.push(error);
+  }
+  for (const [name, rule] of Object.entries(OPTIONAL_FIELDS)) {
+    if (listing[name] === undefined) continue;
+    const error = checkField(name, listing[name], rule);
+    if (error) errors.push(error);
+  }
+
+  if (typeof listing.zip === 'string' && !/^\d{5}$/.test(listing.zip)) {
+    errors.push(`"zip" must be 5 digits, got "${listing.zip}"`);
+  }
+  if (typeof listing.price === 'number' && listing.price <= 0) {
+    errors.push(`"price" must be positive, got ${listing.price}`);
+  }
+  if (typeof listing.hoa === 'string' && !HOA_PATTERN.test(listing.hoa)) {
+    errors.push(`"hoa" must look like "$150/mo" or "$1,800/year", got "${listing.hoa}"`);
+  }
+  if (Array.isArray(listing.priceHistory)) {
+    const bad = listing.priceHistory.filter(e =>
+      !e || typeof e.date !== 'string' || typeof e.price !== 'number'
+    );
+    if (bad.length > 0) errors.push(`"priceHistory" entries must be { date, price }, got ${JSON.stringify(bad[0])}`);
+  }
+  if (Array.isArray(listing.statusHistory)) {
+    const bad = listing.statusHistory.filter(e =>
+      !e || typeof e.date !== 'string' || typeof e.status !== 'string'
+    );
+    if (bad.length > 0) errors.push(`"statusHistory" entries must be { date, status }, got ${JSON.stringify(bad[0])}`);
+  }
+  if (Array.isArray(listing.photos)) {
+    const bad = listing.photos.filter(p => !p || typeof p.image !== 'string' || typeof p.thumbnail !== 'string');
+    if (bad.length > 0) errors.push(`"photos" entries must be { image, thumbnail }, got ${JSON.stringify(bad[0])}`);
+  }
+  if (typeof listing.latitude === 'number' && Math.abs(listing.latitude) > 90) {
+    errors.push(`"latitude" must be between -90 and 90, got ${listing.latitude}`);
+  }
+  if (typeof listing.longitude === 'number' && Math.abs(listing.longitude) > 180) {
+    errors.push(`"longitude" must be between -180 and 180, got ${listing.longitude}`);
+  }
+  if (Array.isArray(listing.sources)) {
+    const bad = listing.sources.filter(s => !s || typeof s.name !== 'string' || typeof s.url !== 'string');
+    if (bad.length > 0) errors.push(`"sources" entries must be { name, url }, got ${JSON.stringify(bad[0])}`);
+  }
+  if (typeof listing.status === 'string' && !STATUSES.includes(listing.status)) {
+    errors.push(`"status" must be one of ${STATUSES.join(', ')}, got "${listing.status}"`);
+  }
+
+  return errors;
+}
+
+// Validate a whole listings.json document
+// Returns a list of { id, errors } entries - empty when the data is publishable
+function validateData(data) {
+  if (!data || !Array.isArray(data.listings)) {
+    return [{ id: null, errors: ['"listings" must be an array'] }];
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+
+  data.listings.forEach((listing, index) => {
+    const id = listing && listing.id !== undefined ? listing.id : `#${index}`;
+    const errors = validateListing(listing);
+
+    if (seenIds.has(id)) errors.push(`duplicate id "${id}"`);
+    seenIds.add(id);
+
+    if (errors.length > 0) problems.push({ id, errors });
+  });
+
+  return problems;
+}
+
+// Human-readable report for validateData output
+function formatProblems(problems) {
+  return problems
+    .map(p => `  ${p.id === null ? 'file' : `listing ${p.id}`}: ${p.errors.join('; ')}`)
+    .join('\n');
+}
+
+// Migrate then validate - throws instead of returning data that would break the site
+function prepareForSave(data) {
+  const migrated = migrateData(data);
+  const problems = validateData(migrated);
+
+  if (problems.length > 0) {
+    throw new Error(`Refusing to save invalid listings:\n${formatProblems(problems)}`);
+  }
+
+  return migrated;
+}
+
+module.exports = {
+  STATUSES,
+  DEFAULT_STATUS,
+  parseNumber,
+  normalizeHoa,
+  hoaMonthly,
+  lotAcres,
+  normalizeStatus,
+  migrateListing,
+  migrateData,
+  validateListing,
+  validateData,
+  formatProblems,
+  prepareForSave
+};
@@ -0,0 +1,164 @@
+/**
+ * Listings store - read, merge, write and publish listings.json
+ *
+ * Every function takes the CONFIG it should use (repoPath, listingsFile, saveMode...),
+ * so search.js and house-hunt.js can point at different site checkouts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const schema = require('./listing-schema');
+const { listingKeys } = require('./listing-id');
+const { mergeListings, replaceListing } = require('./listing-merge');
+const { pickCriteria, annotateCriteria } = require('./criteria');
+const { acquireListingImage, acquireListingPhotos } = require('./image-pipeline');
+const { DEFAULT_STATUS_FILE } = require('./run-status');
+
+function listingsPath(config) {
+  return path.join(config.repoPath, config.listingsFile);
+}
+
+// Load the current listings.json (empty when there isn't one yet)
+// Migrated first so old listings have the IDs and price history the merge expects.
+// A file that's there but unreadable - merge conflict markers from gitPush's pull, say -
+// throws: treating it as empty would save over every curated field and all the history
+function loadExistingData(config) {
+  const file = listingsPath(config);
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { listings: [] };
+    throw error;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON (${error.message}) - fix it before the next save`);
+  }
+  if (!data || !Array.isArray(data.listings)) {
+    throw new Error(`${file} has no "listings" array - fix it before the next save`);
+  }
+  return schema.migrateData(data);
+}
+
+// Load every key (ID, old IDs, address) the existing listings are known by
+function loadExistingListings(config) {
+  return new Set(loadExistingData(config).listings.flatMap(listingKeys));
+}
+
+// Save listings
+// coveredZips: ZIPs this run actually loaded, so a blocked ZIP doesn't count as delisted
+function saveListings(listings, coveredZips, config) {
+  const existing = loadExistingData(config);
+  let listingsToSave = listings;
+
+  if (config.saveMode === 'merge') {
+    const result = mergeListings(existing.listings, listings, {
+      coveredZips,
+      offMarketAfter: config.offMarketAfter,
+      fallbackLastSeen: existing.lastUpdated ? existing.lastUpdated.slice(0, 10) : null
+    });
+    listingsToSave = result.listings;
+    console.log(`Merged: ${result.added} added, ${result.updated} updated, ${result.missed} missing from this run`);
+  } else {
+    // Replace drops the listings this run didn't see; the ones it did keep their history
+    const byKey = new Map();
+    existing.listings.forEach(l => listingKeys(l).forEach(key => {
+      if (!byKey.has(key)) byKey.set(key, l);
+    }));
+    const date = new Date().toISOString().slice(0, 10);
+    listingsToSave = listings.map(l => {
+      const previous = listingKeys(l).map(key => byKey.get(key)).find(Boolean) || null;
+      return replaceListing(previous, l, date);
+    });
+  }
+
+  // Coerce scraped values and refuse to write anything the site can't render
+  const data = schema.prepareForSave({
+    lastUpdated: new Date().toISOString(),
+    lastChecked: new Date().toISOString(),
+    searchCriteria: pickCriteria(config),
+    listings: annotateCriteria(listingsToSave, config)
+  });
+
+  fs.writeFileSync(listingsPath(config), JSON.stringify(data, null, 2));
+  const offMarket = data.listings.filter(l => l.offMarket).length;
+  console.log(`Saved ${data.listings.length} listings (${data.listings.filter(l => l.isNew).length} new, ${offMarket} off market)`);
+}
+
+// Update timestamp even when no new listings found
+function updateTimestamp(config) {
+  const filePath = listingsPath(config);
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    data.lastChecked = new Date().toISOString();
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    console.log('Updated lastChecked timestamp');
+    return true;
+  } catch (error) {
+    console.error('Could not update timestamp:', error.message);
+    return false;
+  }
+}
+
+// Download the hero photo and gallery for listings that don't have them yet
+// Listings that already have them keep them (CURATED_FIELDS in merge mode, replaceListing in
+// replace mode), so they're skipped
+async function downloadImages(listings, config, onProgress) {
+  const existing = loadExistingData(config);
+  const haveImage = new Set(existing.listings.filter(l => l.image).flatMap(listingKeys));
+  const havePhotos = new Set(existing.listings.filter(l => l.photos && l.photos.length > 0).flatMap(listingKeys));
+  const result = [];
+
+  for (let listing of listings) {
+    const keys = listingKeys(listing);
+    if (listing.imageUrl && !keys.some(key => haveImage.has(key))) {
+      onProgress(`Downloading photo for ${listing.address}...`);
+      listing = await acquireListingImage(listing, config.repoPath);
+    }
+    if (listing.photoUrls && listing.photoUrls.length > 0 && !keys.some(key => havePhotos.has(key))) {
+      onProgress(`Downloading ${listing.photoUrls.length} gallery photos for ${listing.address}...`);
+      listing = await acquireListingPhotos(listing, config.repoPath);
+    }
+    result.push(listing);
+  }
+
+  return result;
+}
+
+// Git commit and push
+function gitPush(config, message = `Update listings: ${new Date().toLocaleString()}`) {
+  try {
+    process.chdir(config.repoPath);
+
+    // Check for changes
+    const status = execSync('git status --porcelain', { encoding: 'utf8' });
+    if (!status.trim()) {
+      console.log('No changes to push');
+      return;
+    }
+
+    const files = [config.listingsFile, config.statusFile || DEFAULT_STATUS_FILE, 'images'].filter(f => fs.existsSync(f));
+    execSync(`git add ${files.join(' ')}`);
+    execSync(`git commit -m "${message}"`);
+    execSync('git pull --no-rebase origin main');
+    execSync('git push origin main');
+    console.log('Pushed to GitHub');
+  } catch (error) {
+    console.error('Git error:', error.message);
+  }
+}
+
+module.exports = {
+  loadExistingData,
+  loadExistingListings,
+  saveListings,
+  updateTimestamp,
+  downloadImages,
+  gitPush
+};
@@ -0,0 +1,87 @@
+/**
+ * Search profiles - named sets of search criteria, defined once in profiles.json
+ *
+ * The scrapers read a profile's criteria from here, and index.html reads the same file
+ * for its criteria panel and profile switcher. Each profile writes its own listings file,
+ * so switching profiles on the site never mixes two searches.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SOURCE_NAMES } = require('./sources');
+
+const PROFILES_FILE = path.join(__dirname, '..', 'profiles.json');
+
+// Keys a profile may set; anything else is a typo
+const PROFILE_KEYS = [
+  'id', 'name', 'listingsFile', 'sources', 'zips',
+  'priceMin', 'priceMax', 'bedsMin', 'bedsMax', 'bathsMin', 'bathsMax',
+  'sqftMin', 'sqftMax', 'lotAcresMin', 'lotAcresMax'
+];
+
+// Problems that would make a profile scrape the wrong thing or overwrite another's output
+function checkProfiles(data) {
+  const problems = [];
+  if (!data || !Array.isArray(data.profiles) || data.profiles.length === 0) {
+    return ['profiles must be a non-empty array'];
+  }
+
+  const ids = new Set();
+  const files = new Set();
+  data.profiles.forEach((profile, i) => {
+    const label = profile.id || `profiles[${i}]`;
+    if (!profile.id || !/^[a-z0-9-]+$/.test(profile.id)) problems.push(`${label}: id must be lowercase letters, digits and dashes`);
+    if (ids.has(profile.id)) problems.push(`${label}: duplicate id`);
+    ids.add(profile.id);
+
+    if (!profile.name) problems.push(`${label}: missing name`);
+    if (!profile.listingsFile || !profile.listingsFile.endsWith('.json')) problems.push(`${label}: listingsFile must be a .json file`);
+    if (files.has(profile.listingsFile)) problems.push(`${label}: listingsFile ${profile.listingsFile} is used by another profile`);
+    files.add(profile.listingsFile);
+
+    if (!Array.isArray(profile.zips) || profile.zips.length === 0) problems.push(`${label}: zips must be a non-empty array`);
+    (profile.sources || []).filter(name => !SOURCE_NAMES.includes(name))
+      .forEach(name => problems.push(`${label}: unknown source "${name}"`));
+    Object.keys(profile).filter(key => !PROFILE_KEYS.includes(key))
+      .forEach(key => problems.push(`${label}: unknown key "${key}"`));
+  });
+
+  if (data.defaultProfile && !ids.has(data.defaultProfile)) {
+    problems.push(`defaultProfile "${data.defaultProfile}" is not a profile`);
+  }
+  return problems;
+}
+
+// Read and check profiles.json
+function loadProfiles(file = PROFILES_FILE) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const problems = checkProfiles(data);
+  if (problems.length > 0) {
+    throw new Error(`${file}:\n  ${problems.join('\n  ')}`);
+  }
+  return data;
+}
+
+// One profile by id; no id means the default profile (or the first one)
+function getProfile(data, id) {
+  const wanted = id || data.defaultProfile || data.profiles[0].id;
+  const profile = data.profiles.find(p => p.id === wanted);
+  if (!profile) {
+    throw new Error(`Unknown profile "${wanted}" (expected ${data.profiles.map(p => p.id).join(', ')})`);
+  }
+  return profile;
+}
+
+// The run CONFIG for one profile: its criteria, sources and listings file over the shared settings
+function profileConfig(config, profile) {
+  const { id, name, ...settings } = profile;
+  return { ...config, ...settings, profileId: id, profileName: name };
+}
+
+module.exports = {
+  PROFILES_FILE,
+  checkProfiles,
+  loadProfiles,
+  getProfile,
+  profileConfig
+};
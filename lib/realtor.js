@@ -0,0 +1,67 @@
+/**
+ * Realtor.com source - search URL and the selectors for its search cards
+ *
+ * SELECTORS is the one copy of the card selectors; the stealth and
+ * Playwright scrapers used to carry their own, slightly different, lists.
+ * The cards are read by the extractor every source shares (lib/search-cards.js).
+ */
+
+const searchCards = require('./search-cards');
+
+// Search results URL for one ZIP
+function searchUrl(zip, criteria) {
+  // "beds-3-4", "beds-3" (no max), "price-na-400000" (no min); a bound the criteria leave out is left off
+  const range = (name, min, max) => {
+    if (min === undefined && max === undefined) return null;
+    return max === undefined ? `${name}-${min}` : `${name}-${min === undefined ? 'na' : min}-${max}`;
+  };
+  const filters = [
+    range('beds', criteria.bedsMin, criteria.bedsMax),
+    range('baths', criteria.bathsMin, undefined),
+    range('price', criteria.priceMin, criteria.priceMax)
+  ].filter(Boolean);
+
+  return [`https://www.realtor.com/realestateandhomes-search/${zip}`, ...filters].join('/');
+}
+
+// Result page n of a search URL: ".../price-300000-400000/pg-2"
+function pageUrl(url, n) {
+  return n > 1 ? `${url}/pg-${n}` : url;
+}
+
+/**
+ * Selector fallback lists for the search cards, read by lib/search-cards.js and the
+ * selector doctor (lib/selector-doctor.js). Every card selector's matches count, keeping
+ * the outermost; a field takes the first element (in page order) matching any of its list.
+ * required: fields a working page fills on at least some cards - all empty is drift.
+ * nextPage: the pagination's next link when there is a next page.
+ */
+const SELECTORS = {
+  cards: ['[data-testid="property-card"]', '.property-card', '[data-selenium="property-card"]', '[class*="property-card"]'],
+  fields: {
+    url: ['a[href*="/realestateandhomes-detail/"]'],
+    price: ['[data-testid="price"]', '.price', '.listing-price'],
+    beds: ['[data-testid="bed"]', '[data-testid*="bed"]', '.beds', '.property-beds'],
+    baths: ['[data-testid="bath"]', '[data-testid*="bath"]', '.baths', '.property-baths'],
+    sqft: ['[data-testid="sqft"]', '[data-testid*="sqft"]', '.sqft', '.property-sqft'],
+    address: ['[data-testid="address"]', '.address', '.property-address'],
+    imageUrl: ['img']
+  },
+  required: ['url', 'price', 'address'],
+  nextPage: ['a[aria-label="Go to next page"]:not([aria-disabled="true"])', 'a[rel="next"]']
+};
+
+// Finish extracted cards in Node - see lib/search-cards.js
+function toListings(items, pageUrl) {
+  return searchCards.toListings('realtor', items, pageUrl);
+}
+
+module.exports = {
+  name: 'realtor',
+  label: 'Realtor.com',
+  SELECTORS,
+  searchUrl,
+  pageUrl,
+  extractSearchCards: searchCards.extractSearchCards,
+  toListings
+};
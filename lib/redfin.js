@@ -0,0 +1,66 @@
+/**
+ * Redfin source - search URL and the selectors for its search cards
+ *
+ * The cards go through the same extractor as Realtor.com's (lib/search-cards.js), so
+ * the two come out in one listing shape and can be merged by address
+ * (see combineSources in lib/listing-merge.js).
+ */
+
+const searchCards = require('./search-cards');
+
+// Redfin writes prices in its filter URLs as "300k" / "1.2M"
+function filterPrice(amount) {
+  if (amount >= 1000000) return `${amount / 1000000}M`;
+  return `${amount / 1000}k`;
+}
+
+// Search results URL for one ZIP
+// Square footage isn't in the URL (Redfin only accepts fixed steps) - the criteria check covers it
+function searchUrl(zip, criteria) {
+  const filters = [];
+  if (criteria.priceMin) filters.push(`min-price=${filterPrice(criteria.priceMin)}`);
+  if (criteria.priceMax) filters.push(`max-price=${filterPrice(criteria.priceMax)}`);
+  if (criteria.bedsMin) filters.push(`min-beds=${criteria.bedsMin}`);
+  if (criteria.bedsMax) filters.push(`max-beds=${criteria.bedsMax}`);
+  if (criteria.bathsMin) filters.push(`min-baths=${criteria.bathsMin}`);
+
+  const base = `https://www.redfin.com/zipcode/${zip}`;
+  return filters.length > 0 ? `${base}/filter/${filters.join(',')}` : base;
+}
+
+// Result page n of a search URL: ".../filter/max-price=400k/page-2"
+function pageUrl(url, n) {
+  return n > 1 ? `${url}/page-${n}` : url;
+}
+
+// Selector fallback lists for the search cards - see SELECTORS in lib/realtor.js
+// Current card markup first, then the older HomeCard layout
+const SELECTORS = {
+  cards: ['.bp-Homecard', '[data-rf-test-name="mapHomeCard"]', '.HomeCardContainer', '.HomeCard'],
+  fields: {
+    url: ['a[href*="/home/"]'],
+    price: ['.bp-Homecard__Price--value', '[data-rf-test-name="homecard-price"]', '.homecardV2Price'],
+    beds: ['.bp-Homecard__Stats--beds', '.HomeStatsV2 .stats:nth-child(1)'],
+    baths: ['.bp-Homecard__Stats--baths', '.HomeStatsV2 .stats:nth-child(2)'],
+    sqft: ['.bp-Homecard__Stats--sqft', '.HomeStatsV2 .stats:nth-child(3)'],
+    address: ['.bp-Homecard__Address', '[data-rf-test-id="abp-streetLine"]', '.homeAddressV2', '.link-and-anchor'],
+    imageUrl: ['img.bp-Homecard__Photo--image', 'img.homecard-image', 'img']
+  },
+  required: ['url', 'price', 'address'],
+  nextPage: ['[data-rf-test-id="react-data-paginate-next"]:not([disabled])', 'button.PageArrow__direction--next:not([disabled])']
+};
+
+// Finish extracted cards in Node - see lib/search-cards.js
+function toListings(items, pageUrl) {
+  return searchCards.toListings('redfin', items, pageUrl);
+}
+
+module.exports = {
+  name: 'redfin',
+  label: 'Redfin',
+  SELECTORS,
+  searchUrl,
+  pageUrl,
+  extractSearchCards: searchCards.extractSearchCards,
+  toListings
+};
@@ -0,0 +1,103 @@
+/**
+ * Run status - scrape-status.json, a record of what each profile's last run actually did
+ *
+ * One entry per profile: start and end time, and for every source and ZIP the URL,
+ * HTTP status, listing count and whether it was blocked or timed out. The site reads it
+ * for the health panel and the staleness banner, so a blocked run shows up on the page
+ * instead of only in the cron log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATUS_FILE = 'scrape-status.json';
+const DEFAULT_RUN_INTERVAL_HOURS = 11;
+
+function statusPath(config) {
+  return path.join(config.repoPath, config.statusFile || DEFAULT_STATUS_FILE);
+}
+
+// Puppeteer and Playwright throw TimeoutError; the fetch engine aborts
+function isTimeout(error) {
+  return error.name === 'TimeoutError' || error.name === 'AbortError' || /timed? ?out/i.test(error.message);
+}
+
+// A new run record for one profile
+function startRun(config, engineName, now = new Date()) {
+  return {
+    profile: config.profileId || 'default',
+    name: config.profileName || null,
+    listingsFile: config.listingsFile,
+    engine: engineName,
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    outcome: null,
+    searches: []
+  };
+}
+
+/**
+ * How the run went:
+ *   ok       every search loaded (an empty result counts as loaded)
+ *   partial  some searches were blocked, timed out or failed
+ *   blocked  nothing loaded and at least one search was blocked
+ *   failed   nothing loaded, or the run itself threw
+ */
+function runOutcome(searches, error) {
+  if (error) return 'failed';
+  const loaded = searches.filter(s => !s.blocked && !s.timedOut && !s.error);
+  if (loaded.length === searches.length) return 'ok';
+  if (loaded.length > 0) return 'partial';
+  return searches.some(s => s.blocked) ? 'blocked' : 'failed';
+}
+
+// Close a run record; fields adds totals like listingsFound, or error
+function finishRun(run, fields = {}, now = new Date()) {
+  return {
+    ...run,
+    ...fields,
+    finishedAt: now.toISOString(),
+    outcome: runOutcome(run.searches, fields.error)
+  };
+}
+
+function loadRunStatus(config) {
+  try {
+    return JSON.parse(fs.readFileSync(statusPath(config), 'utf8'));
+  } catch {
+    return { profiles: {} };
+  }
+}
+
+// Write one profile's run into scrape-status.json, keeping the other profiles' last runs
+function saveRunStatus(run, config) {
+  const intervalHours = config.runIntervalHours || DEFAULT_RUN_INTERVAL_HOURS;
+  const status = loadRunStatus(config);
+  const nextRun = new Date(new Date(run.startedAt).getTime() + intervalHours * 3600000);
+
+  const data = {
+    updatedAt: run.finishedAt || new Date().toISOString(),
+    runIntervalHours: intervalHours,
+    nextRunAt: nextRun.toISOString(),
+    profiles: { ...(status.profiles || {}), [run.profile]: run }
+  };
+
+  try {
+    fs.writeFileSync(statusPath(config), JSON.stringify(data, null, 2));
+    console.log(`Run status: ${run.outcome} (${config.statusFile || DEFAULT_STATUS_FILE})`);
+  } catch (error) {
+    console.error('Could not write run status:', error.message);
+  }
+  return data;
+}
+
+module.exports = {
+  DEFAULT_STATUS_FILE,
+  DEFAULT_RUN_INTERVAL_HOURS,
+  isTimeout,
+  startRun,
+  runOutcome,
+  finishRun,
+  loadRunStatus,
+  saveRunStatus
+};
@@ -0,0 +1,78 @@
+/**
+ * Search cards - the one card extractor every listing source uses
+ *
+ * Realtor.com and Redfin cards differ only in their markup, so each source passes
+ * its own SELECTORS (see lib/realtor.js) and gets the same listing shape back -
+ * which is what lets combineSources in lib/listing-merge.js match them by address.
+ */
+
+const { listingId, splitAddress } = require('./listing-id');
+
+// Runs inside the page (or against a parsed document) - must not reference anything outside itself,
+// so the selectors come in as an argument: page.evaluate(extractSearchCards, zip, source.SELECTORS)
+function extractSearchCards(document, zipCode, selectors) {
+  const results = [];
+  const find = (card, field) => card.querySelector(selectors.fields[field].join(', '));
+
+  // Loose selectors like [class*="property-card"] also match a card's own parts, so keep outermost only
+  const matched = Array.from(document.querySelectorAll(selectors.cards.join(', ')));
+  const cards = matched.filter(card => !matched.some(other => other !== card && other.contains(card)));
+
+  cards.forEach((card) => {
+    try {
+      const linkEl = find(card, 'url');
+      const priceEl = find(card, 'price');
+      const bedsEl = find(card, 'beds');
+      const bathsEl = find(card, 'baths');
+      const sqftEl = find(card, 'sqft');
+      const addressEl = find(card, 'address');
+      const imgEl = find(card, 'imageUrl');
+
+      if (linkEl) {
+        results.push({
+          address: addressEl ? addressEl.textContent.replace(/\s+/g, ' ').trim() : 'Address not shown',
+          city: 'Unknown',
+          state: 'SC',
+          zip: zipCode,
+          // Unreadable fields stay null - the criteria check reports them as unknown
+          price: priceEl ? priceEl.textContent.trim() : null,
+          beds: bedsEl ? parseInt(bedsEl.textContent) || null : null,
+          baths: bathsEl ? parseFloat(bathsEl.textContent) || null : null,
+          sqft: sqftEl ? parseInt(sqftEl.textContent.replace(/[^0-9]/g, '')) || null : null,
+          // Search cards don't say Pending or Contingent - null keeps the status the listing has
+          status: null,
+          url: linkEl.getAttribute('href'),
+          image: null,
+          imageUrl: imgEl ? imgEl.getAttribute('src') : null,
+          isNew: true,
+          hoa: null,
+          notes: ''
+        });
+      }
+    } catch (e) {}
+  });
+
+  return results;
+}
+
+// Finish extracted cards in Node: absolute URLs, address parts, stable IDs and the source they came from
+function toListings(sourceName, items, pageUrl) {
+  return items.map(item => {
+    const url = new URL(item.url, pageUrl).href;
+    const listing = {
+      ...item,
+      ...splitAddress(item.address),
+      url,
+      imageUrl: item.imageUrl ? new URL(item.imageUrl, pageUrl).href : null,
+      sources: [{ name: sourceName, url }]
+    };
+    // IDs come from the property, not card position, so reshuffled results still match
+    listing.id = listingId(listing);
+    return listing;
+  });
+}
+
+module.exports = {
+  extractSearchCards,
+  toListings
+};
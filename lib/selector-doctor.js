@@ -0,0 +1,336 @@
+/**
+ * Selector doctor - check a source's selectors against a live or saved page
+ *
+ * Uses the same SELECTORS the scrapers use (lib/realtor.js, lib/redfin.js,
+ * gear-hunt/extractors.js). For the card list and every field's fallback list it
+ * reports which selector matched and on how many cards, and for each card which
+ * fields came back empty. Drift - no cards, cards the extractor can't use, or a
+ * required field empty on every card - is what a publish should be stopped for.
+ * A page that didn't load, or loaded an anti-bot challenge (lib/bot-check.js), isn't
+ * checked at all: a block says nothing about the selectors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parseHTML } = require('linkedom');
+const { detectChallenge, classifyPage } = require('./bot-check');
+const realtor = require('./realtor');
+const redfin = require('./redfin');
+const gear = require('../gear-hunt/extractors');
+
+// Every source the doctor can check: its selectors, the extractor that uses them (and
+// that extractor's arguments) and its search URL from --zip/--query
+const TARGETS = {
+  realtor: {
+    label: 'Realtor.com',
+    selectors: realtor.SELECTORS,
+    extract: realtor.extractSearchCards,
+    args: (options) => [options.zip, realtor.SELECTORS],
+    searchUrl: (options) => realtor.searchUrl(options.zip, options.criteria)
+  },
+  redfin: {
+    label: 'Redfin',
+    selectors: redfin.SELECTORS,
+    extract: redfin.extractSearchCards,
+    args: (options) => [options.zip, redfin.SELECTORS],
+    searchUrl: (options) => redfin.searchUrl(options.zip, options.criteria)
+  },
+  reverb: {
+    label: 'Reverb',
+    selectors: gear.SELECTORS.reverb,
+    extract: gear.extractReverb,
+    args: () => [gear.SELECTORS.reverb],
+    searchUrl: (options) => gear.reverbUrl(options.query)
+  },
+  ebay: {
+    label: 'eBay',
+    selectors: gear.SELECTORS.ebay,
+    extract: gear.extractEbay,
+    args: () => [gear.SELECTORS.ebay],
+    searchUrl: (options) => gear.ebayUrl(options.query)
+  },
+  craigslist: {
+    label: 'Craigslist',
+    selectors: gear.SELECTORS.craigslist,
+    extract: gear.extractCraigslist,
+    args: () => [gear.SELECTORS.craigslist],
+    searchUrl: (options) => gear.craigslistUrl(options.query, options.site)
+  }
+};
+
+// Exit status for a checked page
+const EXIT = { OK: 0, DRIFT: 1, NOT_CHECKED: 2 };
+
+function getTarget(name) {
+  if (!TARGETS[name]) {
+    throw new Error(`Unknown source "${name}" (expected ${Object.keys(TARGETS).join(', ')})`);
+  }
+  return TARGETS[name];
+}
+
+/**
+ * Runs inside the page (or against a parsed document) - must not reference anything outside itself.
+ * Finds the cards the way the extractors do and checks every field of every card.
+ * With annotate it also marks them up for the screenshot: cards outlined green (orange
+ * when a field is empty) with a numbered label, the elements fields were read from dashed blue.
+ */
+function diagnosePage(document, selectors, annotate) {
+  const text = (el) => (el.textContent || '').replace(/\s+/g, ' ').trim();
+  // What the extractors read: a link's href, an image's src, anything else's text
+  const valueOf = (el) => {
+    const tag = el.tagName.toUpperCase();
+    if (tag === 'A') return el.getAttribute('href') || '';
+    if (tag === 'IMG') return el.getAttribute('src') || '';
+    return text(el);
+  };
+
+  let cards;
+  if (selectors.firstMatchOnly) {
+    const first = selectors.cards.find(selector => document.querySelectorAll(selector).length > 0);
+    cards = first ? Array.from(document.querySelectorAll(first)) : [];
+  } else {
+    const all = Array.from(document.querySelectorAll(selectors.cards.join(', ')));
+    cards = all.filter(card => !all.some(other => other !== card && other.contains(card)));
+  }
+
+  const cardSelectors = selectors.cards.map(selector => ({
+    selector,
+    onPage: document.querySelectorAll(selector).length,
+    cards: cards.filter(card => card.matches(selector)).length
+  }));
+  const firstCard = cardSelectors.find(s => s.cards > 0);
+
+  const fields = {};
+  for (const [field, list] of Object.entries(selectors.fields)) {
+    fields[field] = { selectors: list.map(selector => ({ selector, cards: 0 })), matched: null, empty: 0 };
+  }
+
+  const fieldElements = [];
+  const perCard = cards.map((card, index) => {
+    const empty = [];
+    for (const [field, list] of Object.entries(selectors.fields)) {
+      const el = card.querySelector(list.join(', '));
+      if (!el || !valueOf(el)) {
+        empty.push(field);
+        fields[field].empty++;
+        continue;
+      }
+      const used = list.findIndex(selector => el.matches(selector));
+      fields[field].selectors[used].cards++;
+      fieldElements.push(el);
+    }
+    return { card: index + 1, text: text(card).slice(0, 80), empty };
+  });
+
+  for (const field of Object.values(fields)) {
+    const first = field.selectors.find(s => s.cards > 0);
+    field.matched = first ? first.selector : null;
+  }
+
+  if (annotate) {
+    const style = document.createElement('style');
+    style.textContent = [
+      '.selector-doctor-card { outline: 3px solid #2e7d32 !important; outline-offset: -3px; position: relative; }',
+      '.selector-doctor-card.selector-doctor-empty { outline-color: #e65100 !important; }',
+      '.selector-doctor-field { outline: 2px dashed #1565c0 !important; }',
+      '.selector-doctor-label { position: absolute; top: 0; left: 0; z-index: 2147483647; padding: 2px 6px;',
+      '  background: #2e7d32; color: #fff; font: bold 12px/1.4 sans-serif; }',
+      '.selector-doctor-empty > .selector-doctor-label { background: #e65100; }',
+      '.selector-doctor-banner { position: absolute; top: 0; left: 0; right: 0; z-index: 2147483647; padding: 6px 10px;',
+      '  background: #263238; color: #fff; font: bold 14px/1.4 sans-serif; }'
+    ].join('\n');
+    (document.head || document.documentElement).appendChild(style);
+
+    cards.forEach((card, i) => {
+      const { empty } = perCard[i];
+      card.classList.add('selector-doctor-card');
+      if (empty.length > 0) card.classList.add('selector-doctor-empty');
+      const label = document.createElement('div');
+      label.className = 'selector-doctor-label';
+      label.textContent = `#${i + 1}${empty.length > 0 ? ` empty: ${empty.join(', ')}` : ''}`;
+      card.appendChild(label);
+    });
+    fieldElements.forEach(el => el.classList.add('selector-doctor-field'));
+
+    const banner = document.createElement('div');
+    banner.className = 'selector-doctor-banner';
+    banner.textContent = `Selector doctor: ${cards.length} cards` +
+      (firstCard ? ` via ${firstCard.selector}` : ' - no card selector matched');
+    if (document.body) document.body.appendChild(banner);
+  }
+
+  return {
+    title: document.title || '',
+    cards: { count: cards.length, matched: firstCard ? firstCard.selector : null, selectors: cardSelectors },
+    fields,
+    perCard
+  };
+}
+
+/**
+ * What's wrong, from a diagnosis and the extractor's result count:
+ *   drift     no cards, cards the extractor kept none of, a required field empty on every card
+ *   warnings  fields empty on some cards
+ */
+function findDrift(diagnosis, extracted, selectors) {
+  const drift = [];
+  const warnings = [];
+  const count = diagnosis.cards.count;
+
+  if (count === 0) {
+    drift.push(`No cards: none of the card selectors matched (${selectors.cards.join(' | ')})`);
+    return { drift, warnings };
+  }
+  if (extracted === 0) {
+    drift.push(`${count} cards matched but the extractor kept none of them`);
+  }
+
+  for (const [field, result] of Object.entries(diagnosis.fields)) {
+    if (result.empty === 0) continue;
+    if (result.empty === count && selectors.required.includes(field)) {
+      drift.push(`${field}: empty on all ${count} cards (${selectors.fields[field].join(' | ')})`);
+    } else {
+      warnings.push(`${field}: empty on ${result.empty} of ${count} cards`);
+    }
+  }
+  return { drift, warnings };
+}
+
+// A saved page read straight from disk - no browser, so no screenshot
+function openSavedPage(file) {
+  const html = fs.readFileSync(file, 'utf8');
+  const { document } = parseHTML(html);
+  return {
+    status: 200,
+    url: pathToFileURL(path.resolve(file)).href,
+    evaluate: async (fn, ...args) => fn(document, ...args),
+    content: async () => html,
+    screenshot: null,
+    close: async () => {}
+  };
+}
+
+/**
+ * Check one opened page (from an engine or openSavedPage) and write what was found to outDir:
+ *   <source>.html            the page as loaded
+ *   <source>-annotated.html  the page with cards and fields marked
+ *   <source>-annotated.png   the same, rendered (browser engines only)
+ *   <source>-report.json     the report
+ */
+async function checkPage(name, page, options) {
+  const target = getTarget(name);
+  const report = {
+    source: name,
+    url: page.url,
+    engine: options.engine || null,
+    checkedAt: new Date().toISOString(),
+    httpStatus: page.status,
+    title: '',
+    loaded: page.status < 400,
+    blockedBy: null,
+    extracted: 0,
+    cards: null,
+    fields: null,
+    perCard: [],
+    drift: [],
+    warnings: [],
+    files: {}
+  };
+
+  fs.mkdirSync(options.outDir, { recursive: true });
+  const file = (suffix) => path.join(options.outDir, `${name}${suffix}`);
+
+  report.files.html = file('.html');
+  fs.writeFileSync(report.files.html, await page.content());
+
+  if (report.loaded) {
+    // Extract before annotating - the labels are added to the cards
+    report.extracted = (await page.evaluate(target.extract, ...target.args(options))).length;
+    // No cards on a challenge page is a block, not drift - the same call the scrapers make
+    const challenge = report.extracted > 0 ? null : await page.evaluate(detectChallenge);
+    const { verdict, blockedBy } = classifyPage(page.status, report.extracted, challenge);
+    report.loaded = verdict !== 'blocked';
+    report.blockedBy = blockedBy;
+  }
+  const diagnosis = await page.evaluate(diagnosePage, target.selectors, true);
+  Object.assign(report, diagnosis);
+
+  report.files.annotatedHtml = file('-annotated.html');
+  const annotated = await page.evaluate((document) => document.documentElement.outerHTML);
+  fs.writeFileSync(report.files.annotatedHtml, `<!DOCTYPE html>\n${annotated}`);
+  if (page.screenshot) {
+    report.files.screenshot = file('-annotated.png');
+    await page.screenshot(report.files.screenshot);
+  }
+
+  if (report.loaded) {
+    Object.assign(report, findDrift(diagnosis, report.extracted, target.selectors));
+  }
+
+  report.files.report = file('-report.json');
+  fs.writeFileSync(report.files.report, JSON.stringify(report, null, 2));
+  return report;
+}
+
+function exitCode(report) {
+  if (!report.loaded) return EXIT.NOT_CHECKED;
+  return report.drift.length > 0 ? EXIT.DRIFT : EXIT.OK;
+}
+
+// The report as the command prints it
+function formatReport(report) {
+  const lines = [];
+  const mark = (cards) => (cards > 0 ? '✓' : '·');
+  lines.push(`${getTarget(report.source).label}: ${report.url}`);
+  lines.push(`  HTTP ${report.httpStatus}${report.title ? ` - "${report.title}"` : ''}`);
+
+  if (!report.loaded) {
+    lines.push('', report.blockedBy
+      ? `❌ The page was blocked (${report.blockedBy}) - selectors not checked`
+      : `❌ The page didn't load (HTTP ${report.httpStatus}) - blocked or gone, selectors not checked`);
+    return lines.join('\n');
+  }
+
+  lines.push('', `Cards: ${report.cards.count} (extractor kept ${report.extracted})`);
+  for (const s of report.cards.selectors) {
+    lines.push(`  ${mark(s.cards)} ${s.selector}  ${s.cards} cards (${s.onPage} on page)`);
+  }
+
+  if (report.cards.count > 0) {
+    lines.push('', 'Fields (cards read from each selector):');
+    for (const [field, result] of Object.entries(report.fields)) {
+      const filled = report.cards.count - result.empty;
+      const used = result.selectors.map(s => `${s.selector} ${s.cards}`).join(', ');
+      lines.push(`  ${field.padEnd(9)} ${String(filled).padStart(3)}/${report.cards.count}  ${used}`);
+    }
+
+    const withEmpty = report.perCard.filter(c => c.empty.length > 0);
+    if (withEmpty.length > 0) {
+      lines.push('', 'Empty fields per card:');
+      for (const card of withEmpty) {
+        lines.push(`  #${card.card}  ${card.empty.join(', ')}  "${card.text}"`);
+      }
+    }
+  }
+
+  if (report.warnings.length > 0) {
+    lines.push('', 'Warnings:', ...report.warnings.map(w => `  ⚠️ ${w}`));
+  }
+  lines.push('', report.drift.length > 0 ? '❌ Selector drift:' : '✅ No selector drift');
+  lines.push(...report.drift.map(d => `  ${d}`));
+  return lines.join('\n');
+}
+
+module.exports = {
+  TARGETS,
+  TARGET_NAMES: Object.keys(TARGETS),
+  EXIT,
+  getTarget,
+  diagnosePage,
+  findDrift,
+  openSavedPage,
+  checkPage,
+  exitCode,
+  formatReport
+};
@@ -0,0 +1,237 @@
+/**
+ * Session archive - record every response a scraping run gets, and serve them back
+ *
+ * The archive is a HAR 1.2 file (what Chrome DevTools' "Save all as HAR" writes), so it
+ * also opens in DevTools or any HAR viewer. Text bodies are stored as text, so a recorded
+ * search page can be grepped for a selector; everything else is base64.
+ *
+ * Replaying answers each request with the recorded response for the same method and URL,
+ * in the order they were recorded (the last one repeats). A request the recorded run never
+ * made is refused, so a replay never touches the network.
+ */
+
+const fs = require('fs');
+
+const HAR_VERSION = '1.2';
+const CREATOR = { name: 'willy-site scrapers', version: '1.0.0' };
+
+// Headers about the bytes on the wire - the stored body is already decoded
+const WIRE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+// Bodies worth keeping readable in the file
+function isText(mimeType) {
+  return /^text\/|json|javascript|xml|svg/i.test(mimeType || '');
+}
+
+function requestKey(method, url) {
+  return `${(method || 'GET').toUpperCase()} ${url}`;
+}
+
+// Header object (Puppeteer, Playwright, fetch) -> HAR's [{ name, value }]
+// Both browsers join repeated headers (Set-Cookie) with newlines; HAR wants one entry each
+function toHarHeaders(headers) {
+  return Object.entries(headers || {}).flatMap(([name, value]) =>
+    String(value).split('\n').map(line => ({ name, value: line })));
+}
+
+// HAR headers -> { name: [values] }, leaving out the wire headers
+function groupHeaders(headers) {
+  const grouped = {};
+  for (const { name, value } of headers) {
+    const key = name.toLowerCase();
+    if (WIRE_HEADERS.includes(key)) continue;
+    (grouped[key] = grouped[key] || []).push(value);
+  }
+  return grouped;
+}
+
+function headerValue(headers, name) {
+  const header = headers.find(h => h.name.toLowerCase() === name);
+  return header ? header.value : '';
+}
+
+function setContent(entry, body) {
+  const content = entry.response.content;
+  content.size = body.length;
+  if (isText(content.mimeType)) {
+    content.text = body.toString('utf8');
+  } else {
+    content.text = body.toString('base64');
+    content.encoding = 'base64';
+  }
+  entry.response.bodySize = body.length;
+}
+
+/**
+ * Collects responses during a run. meta is stored as the archive's _run field
+ * (what was run, so a replay can run the same thing).
+ *
+ *   recorder.add({ method, url, status, statusText, headers, redirectURL }, readBody)
+ *
+ * readBody returns a Promise of a Buffer; the entry is added straight away so the
+ * archive keeps the order responses arrived in, and save() waits for the bodies.
+ */
+function createRecorder(meta = {}) {
+  const entries = [];
+  const pending = new Set();
+
+  return {
+    meta,
+    entries,
+
+    add(response, readBody) {
+      if (/^(data|blob):/.test(response.url)) return null;
+      const headers = toHarHeaders(response.headers);
+      const entry = {
+        startedDateTime: new Date().toISOString(),
+        time: 0,
+        request: {
+          method: (response.method || 'GET').toUpperCase(),
+          url: response.url,
+          httpVersion: 'HTTP/1.1',
+          headers: [],
+          queryString: [],
+          cookies: [],
+          headersSize: -1,
+          bodySize: -1
+        },
+        response: {
+          status: response.status,
+          statusText: response.statusText || '',
+          httpVersion: 'HTTP/1.1',
+          headers,
+          cookies: [],
+          content: { size: 0, mimeType: headerValue(headers, 'content-type') },
+          redirectURL: response.redirectURL || headerValue(headers, 'location'),
+          headersSize: -1,
+          bodySize: 0
+        },
+        cache: {},
+        timings: { send: 0, wait: 0, receive: 0 }
+      };
+      entries.push(entry);
+
+      if (readBody) {
+        // Redirects have no body, and one the browser has already dropped can't be read
+        const read = Promise.resolve()
+          .then(readBody)
+          .then(body => { if (body) setContent(entry, Buffer.from(body)); }, () => {})
+          .finally(() => pending.delete(read));
+        pending.add(read);
+      }
+      return entry;
+    },
+
+    // Wait for the body reads in flight - a long-poll that never ends gets timeout ms
+    async settle(timeout = 10000) {
+      let timer;
+      await Promise.race([
+        Promise.all([...pending]),
+        new Promise(resolve => { timer = setTimeout(resolve, timeout); })
+      ]);
+      clearTimeout(timer);
+    },
+
+    // The archive as a HAR object, once the body reads have finished
+    async toHar() {
+      await this.settle();
+      return {
+        log: { version: HAR_VERSION, creator: CREATOR, pages: [], entries, _run: meta }
+      };
+    },
+
+    async save(file) {
+      const har = await this.toHar();
+      fs.writeFileSync(file, JSON.stringify(har, null, 1));
+      return har;
+    }
+  };
+}
+
+function loadArchive(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No session archive at ${file}`);
+  }
+  const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!har.log || !Array.isArray(har.log.entries)) {
+    throw new Error(`${file} is not a HAR file (no log.entries)`);
+  }
+  return har;
+}
+
+/**
+ * Serves an archive back:
+ *
+ *   const recorded = replayer.match(method, url);
+ *   // { status, statusText, headers: { name: [values] }, body: Buffer, redirectURL } or null
+ *
+ * Every refused request is kept in replayer.misses.
+ */
+function createReplayer(har) {
+  const byKey = new Map();
+  for (const entry of har.log.entries) {
+    const key = requestKey(entry.request.method, entry.request.url);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(entry);
+  }
+  const served = new Map();
+  const misses = [];
+
+  return {
+    meta: har.log._run || {},
+    misses,
+
+    match(method, url) {
+      const key = requestKey(method, url);
+      const recorded = byKey.get(key);
+      if (!recorded) {
+        misses.push(key);
+        return null;
+      }
+      const count = served.get(key) || 0;
+      served.set(key, count + 1);
+      const entry = recorded[Math.min(count, recorded.length - 1)];
+      const { content } = entry.response;
+
+      return {
+        status: entry.response.status,
+        statusText: entry.response.statusText,
+        headers: groupHeaders(entry.response.headers),
+        body: Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf8'),
+        redirectURL: entry.response.redirectURL || ''
+      };
+    }
+  };
+}
+
+// The recorder or replayer an engine's options ask for (--record FILE / --replay FILE)
+function openSession(options = {}) {
+  if (options.record && options.replay) {
+    throw new Error('Record or replay a session, not both');
+  }
+  return {
+    recorder: options.record ? createRecorder(options.sessionMeta) : null,
+    replayer: options.replay ? createReplayer(loadArchive(options.replay)) : null
+  };
+}
+
+// At the end of a run: write the recording, or say what the replay had to refuse
+async function closeSession(session, options = {}) {
+  if (session.recorder) {
+    const har = await session.recorder.save(options.record);
+    console.log(`Recorded ${har.log.entries.length} responses to ${options.record}`);
+  }
+  if (session.replayer && session.replayer.misses.length > 0) {
+    const unique = [...new Set(session.replayer.misses)];
+    console.log(`Replay refused ${session.replayer.misses.length} requests the recording doesn't have (${unique.length} distinct), e.g. ${unique[0]}`);
+  }
+}
+
+module.exports = {
+  groupHeaders,
+  createRecorder,
+  loadArchive,
+  createReplayer,
+  openSession,
+  closeSession
+};
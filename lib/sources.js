@@ -0,0 +1,33 @@
+/**
+ * Listing sources - every source module exposes the same interface:
+ *
+ *   name, label
+ *   SELECTORS                                     card, field and next-page selector fallback lists
+ *   searchUrl(zip, criteria)
+ *   pageUrl(searchUrl, n)                         result page n (1 is the search URL itself)
+ *   extractSearchCards(document, zip, SELECTORS)  runs in the page, see lib/engines
+ *   toListings(items, pageUrl)                    absolute URLs, IDs and sources in Node
+ */
+
+const SOURCES = {
+  realtor: require('./realtor'),
+  redfin: require('./redfin')
+};
+
+const DEFAULT_SOURCES = ['realtor', 'redfin'];
+
+// Look up source modules by name, failing loudly on a typo
+function getSources(names = DEFAULT_SOURCES) {
+  return names.map(name => {
+    if (!SOURCES[name]) {
+      throw new Error(`Unknown source "${name}" (expected ${Object.keys(SOURCES).join(', ')})`);
+    }
+    return SOURCES[name];
+  });
+}
+
+module.exports = {
+  SOURCE_NAMES: Object.keys(SOURCES),
+  DEFAULT_SOURCES,
+  getSources
+};
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * House Hunter - listings.json maintenance
+ *
+ * Usage:
+ *   node listings-cli.js validate [file]          Exit 1 if the file would break the site
+ *   node listings-cli.js migrate [file] [--dry-run] Fix old data in place, refresh criteriaMatch, validate
+ *   node listings-cli.js audit-images [file] [--refetch] [--prune]
+ *       Report broken image paths (hero, thumbnail and gallery), orphaned files and superseded -v2 versions.
+ *       --refetch downloads missing photos again, --prune deletes orphaned files. Every profile
+ *       saves photos into the same images/, so the other profiles' listings files count too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const schema = require('./lib/listing-schema');
+const { annotateCriteria } = require('./lib/criteria');
+const { auditImages, pruneOrphans } = require('./lib/image-audit');
+const { acquireListingImage, acquireListingPhotos } = require('./lib/image-pipeline');
+const { extractDetails } = require('./lib/detail-enrichment');
+const { createEngine } = require('./lib/engines');
+const { CONFIG } = require('./lib/house-config');
+const { loadProfiles } = require('./lib/profiles');
+
+const DEFAULT_FILE = path.join(__dirname, 'listings.json');
+
+// Read and parse a listings file
+function readListingsFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// validate command
+function validate(file) {
+  const data = readListingsFile(file);
+  const problems = schema.validateData(data);
+
+  if (problems.length > 0) {
+    console.error(`❌ ${file}: ${problems.length} invalid listing(s)`);
+    console.error(schema.formatProblems(problems));
+    console.error('Run "node listings-cli.js migrate" to fix what can be fixed automatically.');
+    return 1;
+  }
+
+  console.log(`✅ ${file}: ${data.listings.length} listings valid`);
+  return 0;
+}
+
+// migrate command
+function migrate(file, dryRun) {
+  const data = readListingsFile(file);
+  const migrated = schema.migrateData(data);
+  if (migrated.searchCriteria) {
+    migrated.listings = annotateCriteria(migrated.listings, migrated.searchCriteria);
+  }
+
+  const changed = migrated.listings.filter((l, i) =>
+    JSON.stringify(l) !== JSON.stringify(data.listings[i])
+  );
+  console.log(`Migrated ${changed.length} of ${migrated.listings.length} listings`);
+
+  const problems = schema.validateData(migrated);
+  if (problems.length > 0) {
+    console.error(`❌ ${problems.length} listing(s) still invalid after migration - not writing`);
+    console.error(schema.formatProblems(problems));
+    return 1;
+  }
+
+  if (dryRun) {
+    console.log('Dry run - no changes written');
+  } else if (changed.length > 0) {
+    fs.writeFileSync(file, JSON.stringify(migrated, null, 2));
+    console.log(`Wrote ${file}`);
+  }
+  return 0;
+}
+
+// Find a photo URL for a listing: the one we scraped before, else its detail page
+async function findImageUrl(listing, getEngine) {
+  if (listing.imageUrl) return listing.imageUrl;
+  if (!listing.url) return null;
+
+  const page = await (await getEngine()).open(listing.url);
+  try {
+    const { values } = await page.evaluate(extractDetails);
+    return values.imageUrl ? new URL(values.imageUrl, page.url).href : null;
+  } finally {
+    await page.close();
+  }
+}
+
+// Download the gallery again from the photo URLs recorded when it was scraped
+async function refetchGallery(listing, repoPath) {
+  if (!listing.photoUrls || listing.photoUrls.length === 0) {
+    console.log('    No gallery photo URLs recorded - re-scrape the listing to rebuild its gallery');
+    return listing;
+  }
+  const { photos, ...rest } = listing;
+  const updated = await acquireListingPhotos(rest, repoPath);
+  return updated.photos ? updated : listing;
+}
+
+// Download photos again for listings whose image files are missing
+async function refetchImages(data, repoPath, broken) {
+  const heroIds = new Set(broken.filter(b => !b.field.startsWith('photos')).map(b => b.id));
+  const galleryIds = new Set(broken.filter(b => b.field.startsWith('photos')).map(b => b.id));
+  let engine = null;
+  const getEngine = async () => {
+    if (!engine) {
+      engine = await createEngine('puppeteer-stealth', {
+        settleMs: 3000,
+        browserUrl: CONFIG.browserUrl,
+        cookieFile: CONFIG.cookieFile
+      });
+    }
+    return engine;
+  };
+
+  let fixed = 0;
+  try {
+    for (const [i, listing] of data.listings.entries()) {
+      if (heroIds.has(listing.id)) {
+        console.log(`  Re-fetching photo for ${listing.address}...`);
+        try {
+          const imageUrl = await findImageUrl(listing, getEngine);
+          if (!imageUrl) {
+            console.log('    No photo found on the listing page');
+          } else {
+            const updated = await acquireListingImage({ ...data.listings[i], imageUrl }, repoPath);
+            if (updated.image !== listing.image) {
+              data.listings[i] = updated;
+              fixed++;
+            }
+          }
+        } catch (e) {
+          console.log(`    Failed: ${e.message}`);
+        }
+      }
+
+      if (galleryIds.has(listing.id)) {
+        console.log(`  Re-fetching gallery for ${listing.address}...`);
+        const updated = await refetchGallery(data.listings[i], repoPath);
+        if (updated !== data.listings[i]) {
+          data.listings[i] = updated;
+          fixed++;
+        }
+      }
+    }
+  } finally {
+    if (engine) await engine.close();
+  }
+  return fixed;
+}
+
+// The other profiles' listings files next to this one (profiles.json), as they are on disk now
+function otherListingsFiles(file) {
+  const repoPath = path.dirname(file);
+  const files = loadProfiles().profiles.map(profile => path.join(repoPath, profile.listingsFile));
+  return [...new Set(files)].filter(other => other !== file && fs.existsSync(other));
+}
+
+// audit-images command
+async function auditImagesCommand(file, options) {
+  const repoPath = path.dirname(file);
+  const data = readListingsFile(file);
+  const others = otherListingsFiles(file);
+  const audit = (current) => auditImages(current, repoPath, { sharedWith: others.map(readListingsFile) });
+  const report = audit(data);
+
+  console.log(`${report.files.length} image files, ${data.listings.length} listings`);
+  others.forEach(other => console.log(`Also keeping the images ${path.basename(other)} points at`));
+  console.log('');
+
+  console.log(`Broken references (${report.broken.length}):`);
+  report.broken.forEach(b => console.log(`  ${b.id} ${b.address}: ${b.field} -> ${b.path}`));
+
+  console.log(`\nOrphaned files (${report.orphans.length}):`);
+  report.orphans.forEach(f => console.log(`  ${f}`));
+
+  console.log(`\nSuperseded versions (${report.superseded.length}):`);
+  report.superseded.forEach(s => console.log(`  ${s.file} (replaced by ${s.by})`));
+
+  if (options.refetch && report.broken.length > 0) {
+    console.log('\nRe-fetching missing photos...');
+    const fixed = await refetchImages(data, repoPath, report.broken);
+    if (fixed > 0) {
+      fs.writeFileSync(file, JSON.stringify(schema.prepareForSave(data), null, 2));
+      console.log(`Fixed ${fixed} listing(s), wrote ${file}`);
+    }
+  }
+
+  if (options.prune && report.orphans.length > 0) {
+    // Re-audit so photos a refetch just wrote aren't pruned
+    const { orphans } = audit(readListingsFile(file));
+    console.log(`\nDeleted ${pruneOrphans(repoPath, orphans)} orphaned file(s)`);
+  }
+
+  const remaining = audit(readListingsFile(file));
+  return remaining.broken.length > 0 ? 1 : 0;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const dryRun = args.includes('--dry-run');
+  const file = path.resolve(args.slice(1).find(a => !a.startsWith('--')) || DEFAULT_FILE);
+
+  switch (command) {
+    case 'validate':
+      return validate(file);
+    case 'migrate':
+      return migrate(file, dryRun);
+    case 'audit-images':
+      return auditImagesCommand(file, {
+        refetch: args.includes('--refetch'),
+        prune: args.includes('--prune')
+      });
+    default:
+      console.log('Usage: node listings-cli.js <validate|migrate|audit-images> [file] [--dry-run|--refetch|--prune]');
+      return 1;
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('Error:', error.message);
+      process.exit(1);
+    });
+}
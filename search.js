@@ -1,101 +1,35 @@
 #!/usr/bin/env node
 /**
  * House Hunter - Scrape Realtor.com and update listings
+ * Save/publish helpers for browser automation; the scraper itself is house-hunt.js
  */
 
-const fs = require('fs');
-const path = require('path');
-const { execSync } = require('child_process');
+const store = require('./lib/listings-store');
+const { loadProfiles, getProfile, profileConfig } = require('./lib/profiles');
 
-const CONFIG = {
-  zips: ['29710', '29745', '29720', '29730'],
-  priceMin: 300000,
-  priceMax: 400000,
-  bedsMin: 3,
-  bedsMax: 4,
-  bathsMin: 2.5,
-  sqftMin: 1800,
-  sqftMax: 2200,
+// Search criteria and listings file come from the default profile in profiles.json
+const CONFIG = profileConfig({
   repoPath: '/home/mihr/.openclaw/workspace/house-hunt-site',
-  listingsFile: 'listings.json'
-};
+  listingsFile: 'listings.json',
+  saveMode: 'merge',      // 'merge' keeps curated fields and unseen listings, 'replace' overwrites
+  offMarketAfter: 3       // consecutive missed runs before a listing is marked offMarket
+}, getProfile(loadProfiles()));
 
-// Load existing listings to track "new" status
-function loadExistingListings() {
-  try {
-    const data = fs.readFileSync(path.join(CONFIG.repoPath, CONFIG.listingsFile), 'utf8');
-    const parsed = JSON.parse(data);
-    return new Set(parsed.listings.map(l => l.id));
-  } catch {
-    return new Set();
-  }
-}
+// Load the current listings.json, migrated
+const loadExistingData = () => store.loadExistingData(CONFIG);
+
+// Load every key (ID, old IDs, address) the existing listings are known by
+const loadExistingListings = () => store.loadExistingListings(CONFIG);
 
 // Save listings
-function saveListings(listings) {
-  const existingIds = loadExistingListings();
-  
-  // Mark new listings
-  listings.forEach(l => {
-    l.isNew = !existingIds.has(l.id);
-  });
-  
-  const data = {
-    lastUpdated: new Date().toISOString(),
-    lastChecked: new Date().toISOString(),
-    searchCriteria: {
-      zips: CONFIG.zips,
-      priceMin: CONFIG.priceMin,
-      priceMax: CONFIG.priceMax,
-      bedsMin: CONFIG.bedsMin,
-      bedsMax: CONFIG.bedsMax,
-      bathsMin: CONFIG.bathsMin,
-      sqftMin: CONFIG.sqftMin,
-      sqftMax: CONFIG.sqftMax
-    },
-    listings: listings
-  };
-  
-  fs.writeFileSync(path.join(CONFIG.repoPath, CONFIG.listingsFile), JSON.stringify(data, null, 2));
-  console.log(`Saved ${listings.length} listings (${listings.filter(l => l.isNew).length} new)`);
-}
+// coveredZips: ZIPs this run actually loaded, so a blocked ZIP doesn't count as delisted
+const saveListings = (listings, coveredZips) => store.saveListings(listings, coveredZips, CONFIG);
 
 // Update timestamp even when no new listings found
-function updateTimestamp() {
-  const filePath = path.join(CONFIG.repoPath, CONFIG.listingsFile);
-  
-  try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    data.lastChecked = new Date().toISOString();
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    console.log('Updated lastChecked timestamp');
-    return true;
-  } catch (error) {
-    console.error('Could not update timestamp:', error.message);
-    return false;
-  }
-}
+const updateTimestamp = () => store.updateTimestamp(CONFIG);
 
 // Git commit and push
-function gitPush() {
-  try {
-    process.chdir(CONFIG.repoPath);
-    
-    // Check for changes
-    const status = execSync('git status --porcelain', { encoding: 'utf8' });
-    if (!status.trim()) {
-      console.log('No changes to push');
-      return;
-    }
-    
-    execSync('git add listings.json');
-    execSync(`git commit -m "Update listings: ${new Date().toLocaleString()}"`);
-    execSync('git push origin main');
-    console.log('Pushed to GitHub');
-  } catch (error) {
-    console.error('Git error:', error.message);
-  }
-}
+const gitPush = (message) => store.gitPush(CONFIG, message);
 
 // Main function - will be called by browser automation
 async function main() {
@@ -105,7 +39,7 @@ async function main() {
 }
 
 // Export for use by automation
-module.exports = { CONFIG, saveListings, gitPush, loadExistingListings, updateTimestamp };
+module.exports = { CONFIG, saveListings, gitPush, loadExistingData, loadExistingListings, updateTimestamp };
 
 // Main function
 async function main() {
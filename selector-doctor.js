@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Selector doctor - are a source's selectors still finding what the scrapers need?
+ *
+ * Usage:
+ *   node selector-doctor.js <source> [url | saved-page.html] [options]
+ *
+ *   source   realtor, redfin, reverb, ebay or craigslist
+ *   url      a live page; without one, the source's search URL is built from --zip or --query
+ *   saved    a page saved earlier (e.g. doctor-output/realtor.html), read without a browser
+ *            unless --engine is given
+ *
+ * Options:
+ *   --engine NAME        puppeteer-stealth (default for live pages), playwright or fetch
+ *   --zip 29710          realtor/redfin: the ZIP to search (default: the default profile's first)
+ *   --query "deluxe reverb"   reverb/ebay/craigslist: the search term
+ *   --site charlotte     craigslist: the city subdomain
+ *   --replay run.har     load the page from a session recorded with --record
+ *   --browser-url URL    attach to a running Chrome (see house-hunt.js)
+ *   --out DIR            where the page dump, annotated page and screenshot, and report go
+ *                        (default doctor-output/)
+ *
+ * Prints which selector in each fallback list matched, the card count and the empty
+ * fields per card. Exit status: 0 fine, 1 selector drift, 2 not checked (the page didn't
+ * load or was blocked, or bad arguments) - so a publish can be gated on it:
+ *   node selector-doctor.js realtor && node house-hunt.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { CONFIG } = require('./lib/house-config');
+const { ENGINE_NAMES, DEFAULT_ENGINE, createEngine } = require('./lib/engines');
+const { loadProfiles, getProfile, profileConfig } = require('./lib/profiles');
+const doctor = require('./lib/selector-doctor');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, 'doctor-output');
+const DEFAULT_CRAIGSLIST_SITE = 'charlotte';
+
+// Read <source> [page] and the options above; --name=value works as well as --name value
+function parseArgs(argv) {
+  const options = {
+    source: null,
+    page: null,
+    engine: null,
+    zip: null,
+    query: null,
+    site: DEFAULT_CRAIGSLIST_SITE,
+    replay: null,
+    browserUrl: null,
+    outDir: DEFAULT_OUT_DIR
+  };
+  const args = argv.flatMap(arg => (arg.startsWith('--') && arg.includes('=')
+    ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+    : [arg]));
+  const positional = [];
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--engine') {
+      options.engine = args[++i];
+    } else if (arg === '--zip') {
+      options.zip = args[++i];
+    } else if (arg === '--query') {
+      options.query = args[++i];
+    } else if (arg === '--site') {
+      options.site = args[++i];
+    } else if (arg === '--replay') {
+      options.replay = path.resolve(args[++i]);
+    } else if (arg === '--browser-url') {
+      options.browserUrl = args[++i];
+    } else if (arg === '--out') {
+      options.outDir = path.resolve(args[++i]);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  
+  [options.source, options.page] = positional;
+  if (!options.source) {
+    throw new Error(`Which source? (${doctor.TARGET_NAMES.join(', ')})`);
+  }
+  doctor.getTarget(options.source);
+  if (options.engine && !ENGINE_NAMES.includes(options.engine)) {
+    throw new Error(`Unknown engine "${options.engine}" (expected ${ENGINE_NAMES.join(', ')})`);
+  }
+  if (options.browserUrl && options.engine === 'fetch') {
+    throw new Error('--browser-url needs a browser engine (puppeteer-stealth or playwright)');
+  }
+  return options;
+}
+
+// A saved page is a file on disk; anything else is a URL
+function isSavedPage(page) {
+  return Boolean(page) && !/^[a-z]+:/i.test(page) && fs.existsSync(page);
+}
+
+// Realtor and Redfin search with the default profile's criteria, and the extractors want a ZIP
+function addSearchDefaults(options) {
+  if (!['realtor', 'redfin'].includes(options.source)) return;
+  const config = profileConfig(CONFIG, getProfile(loadProfiles()));
+  options.zip = options.zip || config.zips[0];
+  options.criteria = config;
+}
+
+// The URL to check: given, or the source's search URL for --zip / --query
+function pageUrl(target, options) {
+  if (isSavedPage(options.page)) return pathToFileURL(path.resolve(options.page)).href;
+  if (options.page) return options.page;
+  if (!options.criteria && !options.query) {
+    throw new Error(`${target.label} needs a page or --query "search term"`);
+  }
+  return target.searchUrl(options);
+}
+
+// Load the page with an engine; null (and a message) when it can't be loaded at all
+async function openPage(url, options) {
+  console.log(`Loading ${url} (${options.engine})...`);
+  // The doctor leaves the scrapers' cookie jar alone
+  const engine = await createEngine(options.engine, {
+    browserUrl: options.browserUrl,
+    replay: options.replay,
+    cookieFile: null
+  });
+  try {
+    return { engine, page: await engine.open(url) };
+  } catch (e) {
+    await engine.close();
+    console.error(`❌ Could not load ${url}: ${e.message}`);
+    return null;
+  }
+}
+
+// Main - resolves to the exit status
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const target = doctor.getTarget(options.source);
+  addSearchDefaults(options);
+  
+  let engine = null;
+  let page;
+  if (isSavedPage(options.page) && !options.engine) {
+    options.engine = 'saved page';
+    page = doctor.openSavedPage(options.page);
+  } else {
+    options.engine = options.engine || DEFAULT_ENGINE;
+    const opened = await openPage(pageUrl(target, options), options);
+    if (!opened) return doctor.EXIT.NOT_CHECKED;
+    ({ engine, page } = opened);
+  }
+  
+  try {
+    const report = await doctor.checkPage(options.source, page, options);
+    console.log(doctor.formatReport(report));
+    console.log(`\nSaved to ${options.outDir}: ${Object.values(report.files).map(f => path.basename(f)).join(', ')}`);
+    return doctor.exitCode(report);
+  } finally {
+    await page.close();
+    if (engine) await engine.close();
+  }
+}
+
+module.exports = { main, parseArgs };
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  }).catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exitCode = doctor.EXIT.NOT_CHECKED;
+  });
+}
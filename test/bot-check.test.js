@@ -0,0 +1,165 @@
+/**
+ * Bot check - challenge pages classified as blocked, retried, and kept away from the listings file
+ *
+ * The scrapeZip tests replay pages through the fetch engine, with no backoff to wait out,
+ * and keep the scraper's progress log out of the test output. The full run saves into a
+ * temp repoPath, with the git push stubbed out.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseHTML } = require('linkedom');
+const { detectChallenge, classifyPage } = require('../lib/bot-check');
+const { scrapeZip, runHouseHunt } = require('../lib/house-hunt');
+const { enrichListing } = require('../lib/detail-enrichment');
+const store = require('../lib/listings-store');
+const realtor = require('../lib/realtor');
+const { withReplay } = require('./helpers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'pages');
+const KASADA_PAGE = path.join(__dirname, '..', 'debug-page.html');
+const SEARCH_PAGE = path.join(FIXTURES, 'realtor-search.html');
+const EMPTY_PAGE = path.join(FIXTURES, 'realtor-search-empty.html');
+const CRITERIA = { bedsMin: 3, bedsMax: 4, priceMax: 400000 };
+const SEARCH_URL = realtor.searchUrl('29710', CRITERIA);
+
+const documentOf = (html) => parseHTML(html).document;
+const fileDocument = (file) => documentOf(fs.readFileSync(file, 'utf8'));
+
+// The fetch engine answering SEARCH_URL with each file in turn (the last one from then on)
+const replaySearch = (files, fn) => withReplay(files.map(file => [SEARCH_URL, file]), fn);
+
+test('detectChallenge names Kasada, Cloudflare and captcha pages, and nothing on a search page', () => {
+  assert.deepEqual(detectChallenge(fileDocument(KASADA_PAGE)), { vendor: 'kasada', signal: 'block message' });
+  assert.deepEqual(detectChallenge(fileDocument(path.join(FIXTURES, 'cloudflare-challenge.html'))), { vendor: 'cloudflare', signal: 'challenge title' });
+  assert.deepEqual(
+    detectChallenge(documentOf('<html><head><title>Redfin</title></head><body><div id="px-captcha"></div></body></html>')),
+    { vendor: 'captcha', signal: 'captcha widget' }
+  );
+  assert.equal(detectChallenge(fileDocument(SEARCH_PAGE)), null);
+  assert.deepEqual(detectChallenge(fileDocument(EMPTY_PAGE)), { vendor: 'kasada', signal: 'KPSDK script' });
+});
+
+test('a captcha or Cloudflare challenge is named even when the Kasada SDK is on the page', () => {
+  const withSdk = (body, title = 'realtor.com') => documentOf(
+    `<html><head><title>${title}</title><script>window.KPSDK={};</script></head><body>${body}</body></html>`
+  );
+
+  assert.deepEqual(detectChallenge(withSdk('<div class="g-recaptcha"></div>')), { vendor: 'captcha', signal: 'captcha widget' });
+  assert.deepEqual(detectChallenge(withSdk('', 'Just a moment...')), { vendor: 'cloudflare', signal: 'challenge title' });
+  assert.deepEqual(
+    classifyPage(200, 0, detectChallenge(withSdk('<div class="g-recaptcha"></div>'))),
+    { verdict: 'blocked', blockedBy: 'captcha: captcha widget' }
+  );
+});
+
+test('classifyPage: block statuses and challenges are blocked, the Kasada SDK alone is not, the rest is empty', () => {
+  const kasada = { vendor: 'kasada', signal: 'KPSDK script' };
+
+  assert.deepEqual(classifyPage(429, 0, null), { verdict: 'blocked', blockedBy: 'HTTP 429' });
+  assert.deepEqual(classifyPage(403, 0, { vendor: 'cloudflare', signal: 'challenge title' }), { verdict: 'blocked', blockedBy: 'cloudflare (HTTP 403)' });
+  assert.deepEqual(classifyPage(200, 0, kasada), { verdict: 'empty', blockedBy: null });
+  assert.deepEqual(classifyPage(429, 0, kasada), { verdict: 'blocked', blockedBy: 'kasada (HTTP 429)' });
+  assert.deepEqual(classifyPage(200, 0, { vendor: 'kasada', signal: 'block message' }), { verdict: 'blocked', blockedBy: 'kasada: block message' });
+  assert.deepEqual(classifyPage(200, 12, kasada), { verdict: 'ok', blockedBy: null });
+  assert.deepEqual(classifyPage(200, 0, null), { verdict: 'empty', blockedBy: null });
+});
+
+test('a blocked search page is retried, and the retry that gets through counts', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await replaySearch([KASADA_PAGE, SEARCH_PAGE], async (engine) => {
+    const config = { ...CRITERIA, blockRetries: 2, blockBackoffMs: 0 };
+    const { listings, ...search } = await scrapeZip(engine, realtor, '29710', config, () => {});
+
+    assert.deepEqual(
+      { blocked: search.blocked, blockedBy: search.blockedBy, empty: search.empty, retries: search.retries, count: search.count },
+      { blocked: false, blockedBy: null, empty: false, retries: 1, count: 2 }
+    );
+    assert.equal(listings.length, 2);
+  });
+});
+
+test('a 200 challenge page is blocked, not an empty search', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await replaySearch([KASADA_PAGE], async (engine) => {
+    const search = await scrapeZip(engine, realtor, '29710', { ...CRITERIA, blockRetries: 1, blockBackoffMs: 0 }, () => {});
+
+    assert.deepEqual(
+      { httpStatus: search.httpStatus, blocked: search.blocked, blockedBy: search.blockedBy, empty: search.empty, retries: search.retries },
+      { httpStatus: 200, blocked: true, blockedBy: 'kasada: block message', empty: false, retries: 1 }
+    );
+  });
+});
+
+test('a search with no results is empty, not blocked, even with the Kasada SDK on it', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await replaySearch([EMPTY_PAGE], async (engine) => {
+    const search = await scrapeZip(engine, realtor, '29710', { ...CRITERIA, blockRetries: 2, blockBackoffMs: 0 }, () => {});
+    assert.deepEqual(
+      { blocked: search.blocked, blockedBy: search.blockedBy, empty: search.empty, retries: search.retries, count: search.count, complete: search.complete },
+      { blocked: false, blockedBy: null, empty: true, retries: 0, count: 0, complete: true }
+    );
+  });
+});
+
+test('a run where every search was blocked leaves the listings file alone, lastChecked included', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const pushed = t.mock.method(store, 'gitPush', () => {});
+  const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-check-run-'));
+  try {
+    const listingsFile = path.join(repoPath, 'listings.json');
+    fs.writeFileSync(listingsFile, JSON.stringify({
+      lastUpdated: '2026-02-28T04:34:00.000Z',
+      lastChecked: '2026-03-01T09:00:00.000Z',
+      listings: [{ id: 'realtor-M9123456789', address: '760 Bellegray Rd', zip: '29710', price: 374900, status: 'Pending' }]
+    }, null, 2));
+    const before = fs.readFileSync(listingsFile);
+
+    await replaySearch([KASADA_PAGE], async (engine) => {
+      const config = {
+        ...CRITERIA,
+        sources: ['realtor'],
+        zips: ['29710'],
+        repoPath,
+        listingsFile: 'listings.json',
+        statusFile: 'scrape-status.json',
+        enrichDetails: false,
+        blockBackoffMs: 0
+      };
+      const result = await runHouseHunt(engine, config, () => {});
+
+      assert.deepEqual(result, {
+        listings: [],
+        coveredZips: [],
+        totals: { listingsFound: 0, listingsSaved: 0 },
+        message: 'Scrape blocked - listings unchanged'
+      });
+    });
+
+    assert.deepEqual(fs.readFileSync(listingsFile), before);
+    const status = JSON.parse(fs.readFileSync(path.join(repoPath, 'scrape-status.json'), 'utf8'));
+    assert.deepEqual(Object.values(status.profiles).map(run => run.outcome), ['blocked']);
+    assert.deepEqual(pushed.mock.calls.map(call => call.arguments[1]), ['Scrape blocked - listings unchanged']);
+  } finally {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  }
+});
+
+test('a blocked detail page leaves the listing as it was instead of recording no HOA', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const url = 'https://www.realtor.com/realestateandhomes-detail/760-Bellegray-Rd_Clover_SC_29710_M91234-56789';
+  const listing = { id: 'realtor-M9123456789', address: '760 Bellegray Rd', url, hoa: null };
+
+  await withReplay([[url, KASADA_PAGE]], async (engine) => {
+    assert.deepEqual(await enrichListing(engine, listing), listing);
+  });
+  await withReplay([[url, path.join(FIXTURES, 'realtor-detail.html')]], async (engine) => {
+    const enriched = await enrichListing(engine, listing);
+    assert.deepEqual({ hoa: enriched.hoa, strategy: enriched.extractedBy.hoa }, { hoa: '$255/mo', strategy: 'facts-regex' });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Cookie jar - parsing, expiry and browser conversion against sample cookies.txt files
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jar = require('../lib/cookie-jar');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'cookies');
+const fixture = (name) => path.join(FIXTURES, name);
+
+// Before the sample Realtor cookies expire (2026-02-26), after old_token (2023)
+const NOW = new Date('2026-02-01T00:00:00Z');
+
+test('parses a libcurl cookie file with #HttpOnly_ lines', () => {
+  const cookies = jar.loadCookieJar(fixture('realtor-libcurl.txt'), NOW);
+
+  assert.deepEqual(cookies, [
+    {
+      domain: 'www.realtor.com',
+      includeSubdomains: false,
+      path: '/',
+      secure: false,
+      expires: 1772069951,
+      name: 'KP_UIDz',
+      value: 'sample-kp-uidz-value',
+      httpOnly: true
+    },
+    {
+      domain: 'www.realtor.com',
+      includeSubdomains: false,
+      path: '/',
+      secure: true,
+      expires: 1772069951,
+      name: 'KP_UIDz-ssn',
+      value: 'sample-kp-uidz-ssn-value',
+      httpOnly: true
+    }
+  ]);
+});
+
+test('skips expired cookies, comments and malformed lines, keeps session cookies', () => {
+  const cookies = jar.loadCookieJar(fixture('mixed.txt'), NOW);
+
+  assert.deepEqual(cookies.map(c => c.name), ['split', 'RF_BROWSER_ID', 'criteria']);
+  const session = cookies.find(c => c.name === 'RF_BROWSER_ID');
+  assert.equal(session.expires, 0);
+  assert.equal(session.path, '/stingray');
+  assert.equal(session.includeSubdomains, true);
+  assert.equal(cookies.find(c => c.name === 'criteria').value, 'a=1&b=2');
+});
+
+test('drops everything once the expiry date has passed', () => {
+  const later = new Date('2026-03-01T00:00:00Z');
+  assert.deepEqual(jar.loadCookieJar(fixture('realtor-libcurl.txt'), later), []);
+});
+
+test('handles Windows line endings', () => {
+  const [cookie] = jar.loadCookieJar(fixture('crlf.txt'), NOW);
+  assert.equal(cookie.domain, '.realtor.com');
+  assert.equal(cookie.value, 'windows-line-endings');
+  assert.equal(cookie.httpOnly, true);
+});
+
+test('a missing file is an empty jar', () => {
+  assert.deepEqual(jar.loadCookieJar(fixture('does-not-exist.txt'), NOW), []);
+  assert.deepEqual(jar.loadCookieJar(null, NOW), []);
+});
+
+test('formatCookieFile round-trips through parseCookieFile', () => {
+  const cookies = jar.loadCookieJar(fixture('mixed.txt'), NOW);
+  const text = jar.formatCookieFile(cookies);
+
+  assert.match(text, /^# Netscape HTTP Cookie File\n/);
+  assert.deepEqual(jar.parseCookieFile(text, NOW), cookies);
+});
+
+test('converts to the Puppeteer/Playwright cookie shape', () => {
+  const cookies = jar.loadCookieJar(fixture('mixed.txt'), NOW);
+  const [split, session] = jar.toBrowserCookies(cookies);
+
+  assert.deepEqual(split, {
+    name: 'split',
+    value: 'n',
+    domain: '.realtor.com',
+    path: '/',
+    expires: 1800000000,
+    httpOnly: false,
+    secure: true
+  });
+  assert.equal(session.expires, -1);
+});
+
+test('adds the leading dot for subdomain cookies written without one', () => {
+  const [cookie] = jar.toBrowserCookies([{
+    domain: 'realtor.com', includeSubdomains: true, path: '/', secure: false,
+    expires: 0, name: 'a', value: 'b', httpOnly: false
+  }]);
+  assert.equal(cookie.domain, '.realtor.com');
+});
+
+test('converts browser cookies back, rounding expiry and marking session cookies', () => {
+  const cookies = jar.fromBrowserCookies([
+    { name: 'KP_UIDz', value: 'new', domain: 'www.realtor.com', path: '/', expires: 1772100000.5, httpOnly: true, secure: false },
+    { name: 'sid', value: 's', domain: '.redfin.com', path: '/', expires: -1, httpOnly: false, secure: true, session: true }
+  ]);
+
+  assert.equal(cookies[0].expires, 1772100000);
+  assert.equal(cookies[0].includeSubdomains, false);
+  assert.equal(cookies[1].expires, 0);
+  assert.equal(cookies[1].includeSubdomains, true);
+});
+
+test('saveCookieJar writes refreshed cookies over the saved ones and keeps the rest', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cookie-jar-'));
+  const file = path.join(dir, 'cookies.txt');
+  fs.copyFileSync(fixture('realtor-libcurl.txt'), file);
+
+  try {
+    const refreshed = jar.fromBrowserCookies([
+      { name: 'KP_UIDz', value: 'refreshed', domain: 'www.realtor.com', path: '/', expires: 1772500000, httpOnly: true, secure: false },
+      { name: 'old', value: 'x', domain: 'www.realtor.com', path: '/', expires: 1700000000, httpOnly: false, secure: false }
+    ]);
+    jar.saveCookieJar(file, refreshed, NOW);
+
+    const saved = jar.loadCookieJar(file, NOW);
+    assert.deepEqual(saved.map(c => `${c.name}=${c.value}`), [
+      'KP_UIDz=refreshed',
+      'KP_UIDz-ssn=sample-kp-uidz-ssn-value'
+    ]);
+    assert.equal(saved[0].expires, 1772500000);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,124 @@
+/**
+ * Crawl pool - worker pool, per-host pacing, the time budget, and following result pages
+ *
+ * Pacing runs on a fake clock; the result-page tests replay saved Realtor pages through
+ * the fetch engine, so nothing here waits or touches the network.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { runPool, createHostLimiter, pacedEngine } = require('../lib/crawl-pool');
+const { scrapeZip, runHouseHunt } = require('../lib/house-hunt');
+const { isTimeout } = require('../lib/run-status');
+const realtor = require('../lib/realtor');
+const { withReplay } = require('./helpers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'pages');
+const CRITERIA = { bedsMin: 3, bedsMax: 4, priceMax: 400000 };
+const SEARCH_URL = realtor.searchUrl('29710', CRITERIA);
+
+// Time that only moves when told to; wait() moves it instead of sleeping
+function fakeClock() {
+  let time = 0;
+  return {
+    now: () => time,
+    wait: async (ms) => { time += ms; },
+    advance: (ms) => { time += ms; }
+  };
+}
+
+test('runPool keeps the items\' order and never runs more than the pool size at once', async () => {
+  let running = 0;
+  let most = 0;
+  const results = await runPool([30, 10, 20, 0, 5], 2, async (ms, i) => {
+    running++;
+    most = Math.max(most, running);
+    await new Promise(r => setTimeout(r, ms));
+    running--;
+    return i;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(most, 2);
+  assert.deepEqual(await runPool([], 2, async () => 1), []);
+});
+
+test('one request per host at a time, each spaced from when the last one finished', async () => {
+  const clock = fakeClock();
+  const schedule = createHostLimiter({ delayMs: 1000, jitterMs: 1000, random: () => 0.5, now: clock.now, wait: clock.wait });
+  const starts = [];
+  // Each page takes 500ms to load
+  const load = (name) => async () => {
+    starts.push([name, clock.now()]);
+    clock.advance(500);
+  };
+
+  await Promise.all(['a', 'b', 'c'].map(name => schedule(`https://www.realtor.com/${name}`, load(name))));
+  assert.deepEqual(starts, [['a', 0], ['b', 2000], ['c', 4000]]);
+});
+
+test('hosts don\'t wait on each other, and a failed request doesn\'t stall its host', async () => {
+  const schedule = createHostLimiter();
+  let finishRealtor;
+  const realtorPage = schedule('https://www.realtor.com/1', () => new Promise(r => { finishRealtor = r; }));
+
+  assert.equal(await schedule('https://www.redfin.com/1', async () => 'redfin'), 'redfin');
+  finishRealtor('realtor');
+  assert.equal(await realtorPage, 'realtor');
+
+  await assert.rejects(schedule('https://www.redfin.com/2', async () => { throw new Error('net::ERR_CONNECTION_RESET'); }), /RESET/);
+  assert.equal(await schedule('https://www.redfin.com/3', async () => 'next'), 'next');
+});
+
+test('a paced engine refuses new pages once the time budget is spent', async () => {
+  const clock = fakeClock();
+  const opened = [];
+  const engine = pacedEngine({
+    name: 'fake',
+    open: async (url) => { opened.push(url); return { status: 200 }; },
+    close: async () => {}
+  }, { timeBudgetMinutes: 1 }, clock);
+
+  await engine.open('https://www.realtor.com/1');
+  assert.equal(engine.outOfTime(), false);
+  clock.advance(60000);
+  assert.equal(engine.outOfTime(), true);
+  await assert.rejects(engine.open('https://www.realtor.com/2'), (e) => isTimeout(e) && /1 minute time budget/.test(e.message));
+
+  assert.deepEqual(opened, ['https://www.realtor.com/1']);
+  assert.equal(engine.name, 'fake');
+});
+
+test('scrapeZip follows result pages, skipping listings repeated from an earlier page', async () => {
+  const pages = [
+    [SEARCH_URL, path.join(FIXTURES, 'realtor-search.html')],
+    [realtor.pageUrl(SEARCH_URL, 2), path.join(FIXTURES, 'realtor-search-pg2.html')]
+  ];
+
+  await withReplay(pages, async (engine) => {
+    const { listings, ...search } = await scrapeZip(engine, realtor, '29710', { ...CRITERIA, maxPages: 5 }, () => {});
+
+    assert.deepEqual({ pages: search.pages, complete: search.complete, count: search.count }, { pages: 2, complete: true, count: 3 });
+    assert.deepEqual(listings.map(l => l.id), ['realtor-M9123456789', 'realtor-M9876543210', 'realtor-M9555511111']);
+  });
+});
+
+test('stopping at the page cap leaves the ZIP uncovered, so nothing in it goes off-market', async () => {
+  const pages = [
+    [SEARCH_URL, path.join(FIXTURES, 'realtor-search.html')],
+    [realtor.pageUrl(SEARCH_URL, 2), path.join(FIXTURES, 'realtor-search-pg2.html')]
+  ];
+  const config = { ...CRITERIA, sources: ['realtor'], zips: ['29710'], enrichDetails: false, dryRun: true };
+  const covered = {};
+
+  await withReplay(pages, async (engine) => {
+    for (const maxPages of [1, 2]) {
+      covered[maxPages] = (await runHouseHunt(engine, { ...config, maxPages }, () => {})).coveredZips;
+    }
+  });
+
+  assert.deepEqual(covered, { 1: [], 2: ['29710'] });
+});
@@ -0,0 +1,283 @@
+/**
+ * Extractors - every source's selectors run against saved pages, asserting exact output
+ *
+ * The fixtures in test/fixtures/pages are real page markup trimmed to what the
+ * selectors read. When a site changes its markup, save the new page, trim it,
+ * and update the expected output here - a failing test is selector drift caught
+ * offline instead of in a cron run that finds nothing.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseHTML } = require('linkedom');
+const realtor = require('../lib/realtor');
+const redfin = require('../lib/redfin');
+const { extractDetails, detailUrl } = require('../lib/detail-enrichment');
+const gear = require('../gear-hunt/extractors');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'pages');
+
+// Parsed the same way the fetch engine parses a response
+function loadPage(file) {
+  return parseHTML(fs.readFileSync(file, 'utf8')).document;
+}
+const fixture = (name) => loadPage(path.join(FIXTURES, name));
+
+// Fields every search card starts with before enrichment
+const NEW_CARD = {
+  city: 'Unknown',
+  state: 'SC',
+  zip: '29710',
+  status: null,
+  image: null,
+  isNew: true,
+  hoa: null,
+  notes: ''
+};
+
+test('realtor: reads cards, skips the ad card and nested card parts', () => {
+  const cards = realtor.extractSearchCards(fixture('realtor-search.html'), '29710', realtor.SELECTORS);
+
+  assert.deepEqual(cards, [
+    {
+      ...NEW_CARD,
+      address: '760 Bellegray Rd, Clover, SC 29710',
+      price: '$374,900',
+      beds: 4,
+      baths: 3,
+      sqft: 2049,
+      url: '/realestateandhomes-detail/760-Bellegray-Rd_Clover_SC_29710_M91234-56789',
+      imageUrl: 'https://ap.rdcpix.com/6f1d2c/760-bellegray-m0s.jpg'
+    },
+    {
+      ...NEW_CARD,
+      address: '1889 Berrywood Ln, Clover, SC 29710',
+      price: '$339,000',
+      beds: 3,
+      baths: 2.5,
+      sqft: null,
+      url: '/realestateandhomes-detail/1889-Berrywood-Ln_Clover_SC_29710_M98765-43210',
+      imageUrl: null
+    }
+  ]);
+});
+
+test('realtor: toListings resolves URLs, splits the address and assigns stable IDs', () => {
+  const pageUrl = 'https://www.realtor.com/realestateandhomes-search/29710';
+  const listings = realtor.toListings(realtor.extractSearchCards(fixture('realtor-search.html'), '29710', realtor.SELECTORS), pageUrl);
+
+  assert.deepEqual(listings.map(l => [l.id, l.address, l.city, l.url, l.imageUrl]), [
+    [
+      'realtor-M9123456789',
+      '760 Bellegray Rd',
+      'Clover',
+      'https://www.realtor.com/realestateandhomes-detail/760-Bellegray-Rd_Clover_SC_29710_M91234-56789',
+      'https://ap.rdcpix.com/6f1d2c/760-bellegray-m0s.jpg'
+    ],
+    [
+      'realtor-M9876543210',
+      '1889 Berrywood Ln',
+      'Clover',
+      'https://www.realtor.com/realestateandhomes-detail/1889-Berrywood-Ln_Clover_SC_29710_M98765-43210',
+      null
+    ]
+  ]);
+  assert.deepEqual(listings[0].sources, [{ name: 'realtor', url: listings[0].url }]);
+});
+
+test('realtor: the Kasada block page (debug-page.html) has no cards', () => {
+  const blocked = loadPage(path.join(__dirname, '..', 'debug-page.html'));
+  assert.deepEqual(realtor.extractSearchCards(blocked, '29710', realtor.SELECTORS), []);
+});
+
+test('redfin: reads home cards, an unreadable stat stays null', () => {
+  const cards = redfin.extractSearchCards(fixture('redfin-search.html'), '29710', redfin.SELECTORS);
+
+  assert.deepEqual(cards, [
+    {
+      ...NEW_CARD,
+      address: '760 Bellegray Rd, Clover, SC 29710',
+      price: '$374,900',
+      beds: 4,
+      baths: 3,
+      sqft: 2049,
+      url: '/SC/Clover/760-Bellegray-Rd-29710/home/102088006',
+      imageUrl: 'https://ssl.cdn-redfin.com/photo/107/mbphotov3/470/genMid.4470_0.jpg'
+    },
+    {
+      ...NEW_CARD,
+      address: '12 Oak Hill Dr, York, SC 29745',
+      price: '$359,500',
+      beds: 3,
+      baths: null,
+      sqft: 1912,
+      url: '/SC/York/12-Oak-Hill-Dr-29745/home/55512345',
+      imageUrl: null
+    }
+  ]);
+});
+
+test('realtor detail page: facts, description, photos and map location', () => {
+  assert.deepEqual(extractDetails(fixture('realtor-detail.html')), {
+    values: {
+      hoa: '$255/mo',
+      lotSize: '1.6 acres',
+      yearBuilt: 2021,
+      description: '1.6-acre homesite in Irongate Farm community with mature trees. Located in Clover School District.',
+      imageUrl: 'https://ap.rdcpix.com/6f1d2c/760-bellegray-m0od.jpg',
+      photoUrls: [
+        'https://ap.rdcpix.com/6f1d2c/760-bellegray-m0od.jpg',
+        'https://ap.rdcpix.com/6f1d2c/760-bellegray-m1od.jpg',
+        'https://ap.rdcpix.com/6f1d2c/760-bellegray-m2od.jpg'
+      ],
+      latitude: 35.0871,
+      longitude: -81.2254
+    },
+    strategies: {
+      hoa: 'facts-regex',
+      lotSize: 'facts-regex',
+      yearBuilt: 'facts-regex',
+      description: 'description-testid',
+      imageUrl: 'hero-selector',
+      photoUrls: 'json-ld',
+      latitude: 'json-ld',
+      longitude: 'json-ld'
+    }
+  });
+});
+
+test('redfin detail page: key details, remarks, photos and map location', () => {
+  assert.deepEqual(extractDetails(fixture('redfin-detail.html')), {
+    values: {
+      hoa: '$255/mo',
+      lotSize: '1.6 Acres',
+      yearBuilt: 2021,
+      description: '1.6-acre homesite in Irongate Farm community with mature trees.',
+      imageUrl: 'https://ssl.cdn-redfin.com/photo/107/bigphoto/470/4470_0.jpg',
+      photoUrls: [
+        'https://ssl.cdn-redfin.com/photo/107/bigphoto/470/4470_0.jpg',
+        'https://ssl.cdn-redfin.com/photo/107/bigphoto/470/4470_1_0.jpg'
+      ],
+      latitude: 35.0871,
+      longitude: -81.2254
+    },
+    strategies: {
+      hoa: 'facts-regex',
+      lotSize: 'facts-regex',
+      yearBuilt: 'facts-regex',
+      description: 'description-testid',
+      imageUrl: 'og-image',
+      photoUrls: 'json-ld',
+      latitude: 'json-ld',
+      longitude: 'json-ld'
+    }
+  });
+});
+
+test('detailUrl: the Realtor.com page when a listing has one, else Redfin\'s', () => {
+  const realtorUrl = 'https://www.realtor.com/realestateandhomes-detail/760-Bellegray-Rd_Clover_SC_29710_M91234-56789';
+  const redfinUrl = 'https://www.redfin.com/SC/Clover/760-Bellegray-Rd-29710/home/102088006';
+
+  assert.equal(detailUrl({ url: redfinUrl }), redfinUrl);
+  assert.equal(detailUrl({ url: redfinUrl, sources: [{ name: 'redfin', url: redfinUrl }, { name: 'realtor', url: realtorUrl }] }), realtorUrl);
+  assert.equal(detailUrl({ url: 'https://www.example.com/listing/12' }), null);
+});
+
+test('detail page text: an HOA needs an amount and a period, a lone comma or a bare amount is no HOA', () => {
+  const hoaFrom = (text) => {
+    const { values, strategies } = extractDetails(parseHTML(`<html><body><p>${text}</p></body></html>`).document);
+    return [values.hoa, strategies.hoa];
+  };
+
+  assert.deepEqual(hoaFrom('Homeowners Association, pool and clubhouse'), [null, 'none-found']);
+  assert.deepEqual(hoaFrom('HOA fee: $45/month'), ['$45/mo', 'page-text']);
+  assert.deepEqual(hoaFrom('Association dues 1,200 per year'), ['$1,200/year', 'page-text']);
+  assert.deepEqual(hoaFrom('HOA $120'), [null, 'page-text-no-period']);
+});
+
+test('reverb: first matching selector wins, items without an /item/ link are skipped', () => {
+  assert.deepEqual(gear.extractReverb(fixture('reverb-search.html'), gear.SELECTORS.reverb), [
+    {
+      title: "Fender '65 Deluxe Reverb Reissue",
+      price: '$1,049',
+      image: 'https://rvb-img.reverb.com/image/upload/s--a1--/t_card-square/v1/deluxe.jpg',
+      url: '/item/71234567-fender-65-deluxe-reverb-reissue',
+      source: 'Reverb',
+      condition: 'Used',
+      location: 'Ships nationwide'
+    },
+    {
+      title: 'Fender Deluxe Reverb 1968 Drip Edge',
+      price: 'Price not shown',
+      image: 'https://rvb-img.reverb.com/image/upload/s--b2--/t_card-square/v1/68.jpg',
+      url: '/item/70011223-fender-deluxe-reverb-1968',
+      source: 'Reverb',
+      condition: 'Used',
+      location: 'Ships nationwide'
+    }
+  ]);
+});
+
+test('ebay: skips the promo item and "Shop on eBay" placeholders', () => {
+  assert.deepEqual(gear.extractEbay(fixture('ebay-search.html'), gear.SELECTORS.ebay), [
+    {
+      title: 'Fender 65 Deluxe Reverb Reissue Tube Amp',
+      price: '$899.99',
+      url: 'https://www.ebay.com/itm/296512345678?hash=item4509',
+      source: 'eBay',
+      condition: 'Varies',
+      location: 'Ships nationwide'
+    },
+    {
+      title: 'Fender Deluxe Reverb Amp - Local Pickup',
+      price: 'Price not shown',
+      url: 'https://www.ebay.com/itm/305598765432',
+      source: 'eBay',
+      condition: 'Varies',
+      location: 'Ships nationwide'
+    }
+  ]);
+});
+
+test('craigslist: old and new result layouts, relative links resolved by toAbsolute', () => {
+  const pageUrl = 'https://charlotte.craigslist.org/search/sss?query=deluxe+reverb';
+  const results = gear.toAbsolute(gear.extractCraigslist(fixture('craigslist-search.html'), gear.SELECTORS.craigslist), pageUrl);
+
+  assert.deepEqual(results, [
+    {
+      title: 'Fender Deluxe Reverb',
+      price: '$850',
+      url: 'https://charlotte.craigslist.org/msg/d/rock-hill-fender-deluxe-reverb/7712345678.html',
+      source: 'Craigslist',
+      condition: 'Used',
+      location: '(Rock Hill)'
+    },
+    {
+      title: 'Deluxe Reverb reissue - barely used',
+      price: '$700',
+      url: 'https://charlotte.craigslist.org/msg/d/clover-deluxe-reverb-reissue/7719876543.html',
+      source: 'Craigslist',
+      condition: 'Used',
+      location: 'Clover'
+    },
+    {
+      title: 'Trade: Deluxe Reverb for Twin',
+      price: 'Contact for price',
+      url: 'https://charlotte.craigslist.org/msg/d/gastonia-amp-trade/7711111111.html',
+      source: 'Craigslist',
+      condition: 'Used',
+      location: 'Local'
+    }
+  ]);
+});
+
+test('toAbsolute leaves missing links and images alone', () => {
+  assert.deepEqual(
+    gear.toAbsolute([{ title: 'a', url: null }, { title: 'b', url: '/item/1', image: null }], 'https://reverb.com/marketplace'),
+    [{ title: 'a', url: null }, { title: 'b', url: 'https://reverb.com/item/1', image: null }]
+  );
+});
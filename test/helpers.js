@@ -0,0 +1,36 @@
+/**
+ * Test helpers shared by the test files - not a test file itself (npm test runs test/*.test.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archive = require('../lib/session-archive');
+const { createEngine } = require('../lib/engines');
+
+// The fetch engine replaying saved pages, from an archive in a temp directory
+// pages: [[url, file], ...] - a URL listed more than once gets each file in turn, then the last one from then on
+async function withReplay(pages, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  try {
+    const file = path.join(dir, 'run.har');
+    const recorder = archive.createRecorder();
+    for (const [url, page] of pages) {
+      recorder.add({ url, status: 200, headers: { 'content-type': 'text/html' } }, async () => fs.readFileSync(page));
+    }
+    await recorder.save(file);
+
+    const engine = await createEngine('fetch', { replay: file });
+    try {
+      return await fn(engine);
+    } finally {
+      await engine.close();
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  withReplay
+};
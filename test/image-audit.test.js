@@ -0,0 +1,49 @@
+/**
+ * Image audit - broken references and orphans, with images/ shared between profiles
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { auditImages, pruneOrphans } = require('../lib/image-audit');
+
+// A repoPath whose images/ holds the given files
+function withImages(files, fn) {
+  const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'image-audit-'));
+  try {
+    for (const file of files) {
+      fs.mkdirSync(path.join(repoPath, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(repoPath, file), 'jpg');
+    }
+    return fn(repoPath);
+  } finally {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  }
+}
+
+const CLOVER = {
+  listings: [{ id: 'redfin-1', address: '760 Bellegray Rd', image: 'images/760.jpg', thumbnail: 'images/760-thumb.jpg', photos: [] }]
+};
+const ACREAGE = {
+  listings: [{ id: 'redfin-2', address: '12 Oak Hill Dr', image: 'images/12.jpg', thumbnail: 'images/12-thumb.jpg', photos: [{ image: 'images/12-1.jpg', thumbnail: 'images/gone.jpg' }] }]
+};
+
+test('another profile\'s photos are not orphans, and --prune leaves them alone', () => {
+  const files = ['images/760.jpg', 'images/760-thumb.jpg', 'images/12.jpg', 'images/12-thumb.jpg', 'images/12-1.jpg', 'images/stray.jpg'];
+
+  withImages(files, (repoPath) => {
+    // On its own, the clover file would call every acreage photo an orphan
+    assert.deepEqual(auditImages(CLOVER, repoPath).orphans.sort(), ['images/12-1.jpg', 'images/12-thumb.jpg', 'images/12.jpg', 'images/stray.jpg']);
+
+    const report = auditImages(CLOVER, repoPath, { sharedWith: [ACREAGE] });
+    assert.deepEqual(report.orphans, ['images/stray.jpg']);
+    assert.deepEqual(report.broken, []);
+
+    pruneOrphans(repoPath, report.orphans);
+    assert.deepEqual(fs.readdirSync(path.join(repoPath, 'images')).sort(), ['12-1.jpg', '12-thumb.jpg', '12.jpg', '760-thumb.jpg', '760.jpg']);
+  });
+});
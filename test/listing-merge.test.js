@@ -0,0 +1,253 @@
+/**
+ * Listing merge - one scrape folded into the saved listings: curated fields, misses,
+ * off-market marking, cross-source matching and the price/status history
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  recordPrice,
+  recordStatus,
+  replaceListing,
+  combineSources,
+  mergeListings
+} = require('../lib/listing-merge');
+
+const REALTOR_URL = 'https://www.realtor.com/realestateandhomes-detail/760-Bellegray-Rd_Clover_SC_29710_M91234-56789';
+const REDFIN_URL = 'https://www.redfin.com/SC/Clover/760-Bellegray-Rd-29710/home/102088006';
+
+// The run every test merges on, unless it says otherwise
+const NOW = new Date('2026-03-10T12:00:00Z');
+const TODAY = '2026-03-10';
+
+// 760 Bellegray Rd as listings.json has it: curated by hand, Pending since March 5th
+function saved(fields = {}) {
+  return {
+    id: 'realtor-M9123456789',
+    address: '760 Bellegray Rd',
+    city: 'Clover',
+    state: 'SC',
+    zip: '29710',
+    price: 374900,
+    beds: 4,
+    baths: 3,
+    sqft: null,
+    hoa: '$255/mo',
+    status: 'Pending',
+    url: REALTOR_URL,
+    description: '1.6-acre homesite in Irongate Farm community.',
+    image: 'images/760-bellegray.jpg',
+    thumbnail: 'images/760-bellegray-thumb.jpg',
+    notes: 'Backs onto the creek',
+    sources: [{ name: 'realtor', url: REALTOR_URL }],
+    isNew: false,
+    firstSeen: '2026-02-28',
+    lastSeen: '2026-03-09',
+    missedRuns: 0,
+    offMarket: false,
+    priceHistory: [{ date: '2026-02-28', price: 374900 }],
+    statusHistory: [{ date: '2026-02-28', status: 'Active' }, { date: '2026-03-05', status: 'Pending' }],
+    ...fields
+  };
+}
+
+// The same house as a Realtor search card reads it
+function realtorCard(fields = {}) {
+  return {
+    id: 'realtor-M9123456789',
+    address: '760 Bellegray Rd',
+    city: 'Clover',
+    state: 'SC',
+    zip: '29710',
+    price: '$374,900',
+    beds: 4,
+    baths: 3,
+    sqft: null,
+    status: null,
+    hoa: null,
+    notes: '',
+    image: null,
+    isNew: true,
+    url: REALTOR_URL,
+    sources: [{ name: 'realtor', url: REALTOR_URL }],
+    ...fields
+  };
+}
+
+// ...and as a Redfin home card reads it
+function redfinCard(fields = {}) {
+  return {
+    ...realtorCard(),
+    id: 'redfin-102088006',
+    address: '760 Bellegray Road',
+    sqft: 2049,
+    url: REDFIN_URL,
+    sources: [{ name: 'redfin', url: REDFIN_URL }],
+    ...fields
+  };
+}
+
+test('recordPrice: appends changes only, the latest change of a day wins, unreadable prices are skipped', () => {
+  const history = [{ date: '2026-02-28', price: 374900 }];
+
+  assert.deepEqual(recordPrice(null, '$374,900', TODAY), [{ date: TODAY, price: 374900 }]);
+  assert.deepEqual(recordPrice(history, 374900, TODAY), history);
+  assert.deepEqual(recordPrice(history, '$369,900', TODAY), [...history, { date: TODAY, price: 369900 }]);
+  assert.deepEqual(recordPrice(history, 359900, '2026-02-28'), [{ date: '2026-02-28', price: 359900 }]);
+  assert.deepEqual(recordPrice(history, 'Price not shown', TODAY), history);
+  assert.deepEqual(history, [{ date: '2026-02-28', price: 374900 }]);
+});
+
+test('recordStatus: normalizes what it records, keeps Off Market as is, skips a missing status', () => {
+  const history = [{ date: '2026-02-28', status: 'Active' }];
+
+  assert.deepEqual(recordStatus(null, 'Under Contract', TODAY), [{ date: TODAY, status: 'Pending' }]);
+  assert.deepEqual(recordStatus(history, 'For Sale', TODAY), history);
+  assert.deepEqual(recordStatus(history, null, TODAY), history);
+  assert.deepEqual(recordStatus(history, 'Off Market', TODAY), [...history, { date: TODAY, status: 'Off Market' }]);
+  assert.deepEqual(recordStatus(history, 'Pending', '2026-02-28'), [{ date: '2026-02-28', status: 'Pending' }]);
+});
+
+test('mergeListings: a scrape never overwrites curated fields or a value it couldn\'t read', () => {
+  const scraped = realtorCard({
+    city: 'Unknown',
+    price: '$369,900',
+    baths: null,
+    sqft: 2049,
+    description: 'Scraped blurb',
+    image: 'images/other.jpg'
+  });
+  const result = mergeListings([saved()], [scraped], { now: NOW });
+
+  assert.deepEqual({ added: result.added, updated: result.updated, missed: result.missed }, { added: 0, updated: 1, missed: 0 });
+  assert.deepEqual(result.listings, [saved({
+    price: '$369,900',
+    sqft: 2049,
+    lastSeen: TODAY,
+    priceHistory: [{ date: '2026-02-28', price: 374900 }, { date: TODAY, price: 369900 }]
+  })]);
+});
+
+test('mergeListings: a new house is Active and new, with its first price and status recorded', () => {
+  const result = mergeListings([], [realtorCard()], { now: NOW });
+
+  assert.equal(result.added, 1);
+  assert.deepEqual(result.listings, [{
+    ...realtorCard(),
+    status: 'Active',
+    priceHistory: [{ date: TODAY, price: 374900 }],
+    statusHistory: [{ date: TODAY, status: 'Active' }],
+    isNew: true,
+    firstSeen: TODAY,
+    lastSeen: TODAY,
+    missedRuns: 0,
+    offMarket: false
+  }]);
+});
+
+test('mergeListings: off-market after offMarketAfter misses in a row, back on when seen again', () => {
+  let listings = [saved()];
+  for (const day of ['2026-03-10', '2026-03-11', '2026-03-12']) {
+    listings = mergeListings(listings, [], { now: new Date(`${day}T12:00:00Z`), offMarketAfter: 3, coveredZips: ['29710'] }).listings;
+    if (day === '2026-03-11') {
+      assert.deepEqual({ missedRuns: listings[0].missedRuns, offMarket: listings[0].offMarket }, { missedRuns: 2, offMarket: false });
+    }
+  }
+
+  assert.deepEqual(
+    { missedRuns: listings[0].missedRuns, offMarket: listings[0].offMarket, lastSeen: listings[0].lastSeen, status: listings[0].status },
+    { missedRuns: 3, offMarket: true, lastSeen: '2026-03-09', status: 'Pending' }
+  );
+  assert.deepEqual(listings[0].statusHistory.slice(-1), [{ date: '2026-03-12', status: 'Off Market' }]);
+
+  const back = mergeListings(listings, [realtorCard()], { now: new Date('2026-03-13T12:00:00Z'), coveredZips: ['29710'] }).listings[0];
+  assert.deepEqual(
+    { missedRuns: back.missedRuns, offMarket: back.offMarket, lastSeen: back.lastSeen },
+    { missedRuns: 0, offMarket: false, lastSeen: '2026-03-13' }
+  );
+  assert.deepEqual(back.statusHistory.slice(-2), [{ date: '2026-03-12', status: 'Off Market' }, { date: '2026-03-13', status: 'Pending' }]);
+});
+
+test('mergeListings: only listings in a covered ZIP count as missed', () => {
+  const york = saved({ id: 'addr-12-oak-hill-dr-29745', address: '12 Oak Hill Dr', zip: '29745', url: 'https://www.example.com/12-oak-hill', lastSeen: undefined });
+  const existing = [saved(), york];
+
+  const covered = mergeListings(existing, [], { now: NOW, coveredZips: ['29710'], fallbackLastSeen: '2026-02-28' });
+  assert.equal(covered.missed, 1);
+  assert.deepEqual(covered.listings.map(l => l.missedRuns), [1, 0]);
+  assert.deepEqual(covered.listings[1], york);
+
+  // Without coveredZips every listing the run didn't see is missed; an old one gets the fallback lastSeen
+  const all = mergeListings(existing, [], { now: NOW, fallbackLastSeen: '2026-02-28' });
+  assert.equal(all.missed, 2);
+  assert.deepEqual(all.listings.map(l => [l.missedRuns, l.lastSeen]), [[1, '2026-03-09'], [1, '2026-02-28']]);
+});
+
+test('mergeListings: the same house from another source, or by an old ID, is matched instead of added', () => {
+  const existing = [saved({ aliases: ['7'] })];
+
+  const fromRedfin = mergeListings(existing, [redfinCard()], { now: NOW });
+  assert.deepEqual({ added: fromRedfin.added, updated: fromRedfin.updated }, { added: 0, updated: 1 });
+  const merged = fromRedfin.listings[0];
+  assert.equal(merged.id, 'realtor-M9123456789');
+  assert.deepEqual(merged.aliases, ['7', 'redfin-102088006']);
+  assert.deepEqual(merged.sources, [{ name: 'realtor', url: REALTOR_URL }, { name: 'redfin', url: REDFIN_URL }]);
+
+  // No address to match on - the Redfin ID remembered as an alias still finds it
+  const byAlias = mergeListings(fromRedfin.listings, [redfinCard({ address: 'Address not shown', price: 365000 })], { now: NOW });
+  assert.deepEqual({ added: byAlias.added, updated: byAlias.updated, count: byAlias.listings.length }, { added: 0, updated: 1, count: 1 });
+  assert.deepEqual({ address: byAlias.listings[0].address, price: byAlias.listings[0].price }, { address: '760 Bellegray Road', price: 365000 });
+
+  const byLegacyId = mergeListings(existing, [{ ...realtorCard({ id: '7', address: 'Address not shown' }), url: 'https://www.example.com/7' }], { now: NOW });
+  assert.deepEqual({ added: byLegacyId.added, updated: byLegacyId.updated }, { added: 0, updated: 1 });
+});
+
+test('combineSources: one listing per house, the first source\'s values win, later ones fill the gaps', () => {
+  const unknownA = realtorCard({ id: 'realtor-M1', address: 'Address not shown', url: 'https://www.realtor.com/a' });
+  const unknownB = realtorCard({ id: 'realtor-M2', address: 'Address not shown', url: 'https://www.realtor.com/b' });
+  const combined = combineSources([realtorCard(), unknownA, redfinCard({ price: '$372,000' }), unknownB]);
+
+  assert.deepEqual(combined, [
+    realtorCard({
+      sqft: 2049,
+      aliases: ['redfin-102088006'],
+      sources: [{ name: 'realtor', url: REALTOR_URL }, { name: 'redfin', url: REDFIN_URL }]
+    }),
+    unknownA,
+    unknownB
+  ]);
+});
+
+test('replaceListing: a replace save keeps firstSeen, old IDs, history, photos and the status the scrape couldn\'t read', () => {
+  const photos = [{ image: 'images/760-bellegray-1.jpg', thumbnail: 'images/760-bellegray-1-thumb.jpg' }];
+  const previous = saved({ id: 'addr-760-bellegray-rd-29710', aliases: ['7'], photos });
+  const replaced = replaceListing(previous, realtorCard({ price: '$369,900' }), TODAY);
+
+  assert.deepEqual(replaced, {
+    ...realtorCard({ price: '$369,900' }),
+    image: 'images/760-bellegray.jpg',
+    thumbnail: 'images/760-bellegray-thumb.jpg',
+    photos,
+    status: 'Pending',
+    aliases: ['addr-760-bellegray-rd-29710', '7'],
+    priceHistory: [{ date: '2026-02-28', price: 374900 }, { date: TODAY, price: 369900 }],
+    statusHistory: previous.statusHistory,
+    isNew: false,
+    firstSeen: '2026-02-28',
+    lastSeen: TODAY,
+    missedRuns: 0,
+    offMarket: false
+  });
+
+  // A photo this run downloaded replaces the old one, thumbnail and all
+  const rephotographed = replaceListing(previous, realtorCard({ image: 'images/760-bellegray-v2.jpg', thumbnail: 'images/760-bellegray-v2-thumb.jpg' }), TODAY);
+  assert.deepEqual(
+    { image: rephotographed.image, thumbnail: rephotographed.thumbnail },
+    { image: 'images/760-bellegray-v2.jpg', thumbnail: 'images/760-bellegray-v2-thumb.jpg' }
+  );
+
+  const added = replaceListing(null, realtorCard(), TODAY);
+  assert.deepEqual({ status: added.status, isNew: added.isNew, firstSeen: added.firstSeen }, { status: 'Active', isNew: true, firstSeen: TODAY });
+});
@@ -0,0 +1,156 @@
+/**
+ * Listing schema - migrating old listings.json data and refusing data the site can't render
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeHoa,
+  hoaMonthly,
+  normalizeStatus,
+  migrateData,
+  validateData,
+  prepareForSave
+} = require('../lib/listing-schema');
+
+const REALTOR_URL = 'https://www.realtor.com/realestateandhomes-detail/760-Bellegray-Rd_Clover_SC_29710_M91234-56789';
+
+// A listing from the hand-entered days: numbered ID, numeric ZIP, text numbers, yearly HOA
+const HAND_ENTERED = {
+  id: 3,
+  address: '760 Bellegray Rd',
+  city: 'Clover',
+  state: 'SC',
+  zip: 29710,
+  price: '$374,900',
+  beds: '4',
+  baths: '3',
+  sqft: '2,049 sqft',
+  hoa: '$3,060/yr',
+  status: 'For Sale',
+  url: REALTOR_URL
+};
+
+// A positional ID from the first scraper, on a URL that has no property ID in it
+const POSITIONAL = {
+  id: '29745-003',
+  address: '12 Oak Hill Dr',
+  city: 'York',
+  state: 'SC',
+  zip: '29745',
+  price: 359500,
+  beds: 3,
+  baths: 2,
+  sqft: 1912,
+  hoa: null,
+  status: 'Pending',
+  url: 'https://www.example.com/listing/12-oak-hill'
+};
+
+const OLD_FILE = { lastUpdated: '2026-02-28T04:34:00Z', listings: [HAND_ENTERED, POSITIONAL] };
+
+test('normalizeHoa and hoaMonthly: one "$150/mo" or "$1,800/year" form, no HOA is null', () => {
+  assert.equal(normalizeHoa('None'), null);
+  assert.equal(normalizeHoa('$0'), null);
+  assert.equal(normalizeHoa(150), '$150/mo');
+  assert.equal(normalizeHoa('$1,800 annually'), '$1,800/year');
+  assert.equal(normalizeHoa('$300 per quarter'), '$1,200/year');
+  assert.equal(normalizeHoa('$600 semi-annually'), '$1,200/year');
+  assert.equal(normalizeHoa('$450 Semiannual'), '$900/year');
+  assert.equal(normalizeHoa('Yes'), null);
+  assert.equal(normalizeHoa('Required'), null);
+
+  assert.equal(hoaMonthly('$1,800/year'), 150);
+  assert.equal(hoaMonthly('$255/mo'), 255);
+  assert.equal(hoaMonthly('$,/mo'), null);
+  assert.equal(hoaMonthly(null), null);
+});
+
+test('normalizeStatus maps scraped wording onto the statuses the site badges', () => {
+  assert.equal(normalizeStatus('Under Contract'), 'Pending');
+  assert.equal(normalizeStatus('Contingent - Show'), 'Contingent');
+  assert.equal(normalizeStatus('coming soon'), 'Coming Soon');
+  assert.equal(normalizeStatus('For Sale'), 'Active');
+  assert.equal(normalizeStatus(null), 'Active');
+});
+
+test('migrateData: legacy IDs become stable IDs with the old one kept as an alias, values are normalized', () => {
+  const { listings } = migrateData(OLD_FILE);
+
+  assert.deepEqual(listings[0], {
+    ...HAND_ENTERED,
+    id: 'realtor-M9123456789',
+    aliases: ['3'],
+    zip: '29710',
+    price: 374900,
+    beds: 4,
+    baths: 3,
+    sqft: 2049,
+    hoa: '$3,060/year',
+    hoaMonthly: 255,
+    status: 'Active',
+    sources: [{ name: 'realtor', url: REALTOR_URL }],
+    firstSeen: '2026-02-28',
+    priceHistory: [{ date: '2026-02-28', price: 374900 }],
+    statusHistory: [{ date: '2026-02-28', status: 'Active' }]
+  });
+
+  // No property ID in the URL and no known site: the address key, and no sources
+  assert.deepEqual(
+    { id: listings[1].id, aliases: listings[1].aliases, sources: listings[1].sources },
+    { id: 'addr-12-oak-hill-dr-29745', aliases: ['29745-003'], sources: undefined }
+  );
+});
+
+test('migrateData leaves already migrated listings as they are', () => {
+  const migrated = migrateData(OLD_FILE);
+  const withHistory = {
+    ...migrated,
+    listings: [{ ...migrated.listings[0], firstSeen: '2026-02-01', priceHistory: [{ date: '2026-02-01', price: 389900 }, { date: '2026-02-28', price: 374900 }] }]
+  };
+
+  assert.deepEqual(migrateData(migrated), migrated);
+  assert.deepEqual(migrateData(withHistory), withHistory);
+});
+
+test('validateData: migrated data passes; bad fields, duplicate IDs and a non-array are reported', () => {
+  const [valid] = migrateData(OLD_FILE).listings;
+  assert.deepEqual(validateData(migrateData(OLD_FILE)), []);
+
+  assert.deepEqual(validateData({
+    listings: [
+      { ...valid, id: 'a', hoa: '$,/mo' },
+      { ...valid, id: 'b', zip: '2971', status: 'For Sale' },
+      { ...valid, id: 'b', priceHistory: [{ date: '2026-02-28', price: '$374,900' }] },
+      { ...valid, id: 'c', url: null, price: 0 }
+    ]
+  }), [
+    { id: 'a', errors: ['"hoa" must look like "$150/mo" or "$1,800/year", got "$,/mo"'] },
+    { id: 'b', errors: ['"zip" must be 5 digits, got "2971"', '"status" must be one of Active, Pending, Contingent, Coming Soon, Sold, got "For Sale"'] },
+    { id: 'b', errors: ['"priceHistory" entries must be { date, price }, got {"date":"2026-02-28","price":"$374,900"}', 'duplicate id "b"'] },
+    { id: 'c', errors: ['"url" must not be null', '"price" must be positive, got 0'] }
+  ]);
+
+  assert.deepEqual(validateData({}), [{ id: null, errors: ['"listings" must be an array'] }]);
+});
+
+test('prepareForSave migrates, then refuses to write what the site can\'t render', () => {
+  assert.deepEqual(prepareForSave(OLD_FILE), migrateData(OLD_FILE));
+  assert.throws(
+    () => prepareForSave({ listings: [{ ...HAND_ENTERED, zip: '2971' }] }),
+    /Refusing to save invalid listings:\n {2}listing realtor-M9123456789: "zip" must be 5 digits/
+  );
+});
+
+test('prepareForSave saves an HOA without an amount as null, with a warning, instead of refusing the file', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const data = prepareForSave({ listings: [{ ...HAND_ENTERED, hoa: 'Required' }, { ...POSITIONAL, hoa: '$,/mo' }] });
+
+  assert.deepEqual(data.listings.map(l => l.hoa), [null, null]);
+  assert.deepEqual(log.mock.calls.map(call => call.arguments[0]), [
+    '⚠️ Listing realtor-M9123456789: HOA "Required" has no amount - saved as null',
+    '⚠️ Listing addr-12-oak-hill-dr-29745: HOA "$,/mo" has no amount - saved as null'
+  ]);
+});
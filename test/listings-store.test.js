@@ -0,0 +1,64 @@
+/**
+ * Listings store - saving into a listings.json that's missing, or one that can't be read
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('../lib/listings-store');
+
+const CARD = {
+  id: 'redfin-102088006',
+  address: '760 Bellegray Rd',
+  city: 'Clover',
+  state: 'SC',
+  zip: '29710',
+  price: '$374,900',
+  beds: 4,
+  baths: 3,
+  sqft: 2049,
+  hoa: null,
+  status: null,
+  url: 'https://www.redfin.com/SC/Clover/760-Bellegray-Rd-29710/home/102088006'
+};
+
+// A repoPath in a temp directory, with listings.json holding text (or no listings.json)
+function withRepo(text, fn) {
+  const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'listings-store-'));
+  try {
+    if (text !== null) fs.writeFileSync(path.join(repoPath, 'listings.json'), text);
+    return fn({ repoPath, listingsFile: 'listings.json', saveMode: 'merge', zips: ['29710'] }, path.join(repoPath, 'listings.json'));
+  } finally {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  }
+}
+
+test('no listings.json yet: the first save starts from an empty list', (t) => {
+  t.mock.method(console, 'log', () => {});
+  withRepo(null, (config, file) => {
+    assert.deepEqual(store.loadExistingData(config), { listings: [] });
+    store.saveListings([CARD], ['29710'], config);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).listings.map(l => l.id), ['redfin-102088006']);
+  });
+});
+
+test('a listings.json with merge conflict markers stops the save instead of being overwritten', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const conflicted = '{\n<<<<<<< HEAD\n  "lastUpdated": "2026-03-09T00:00:00Z",\n=======\n  "lastUpdated": "2026-03-08T00:00:00Z",\n>>>>>>> origin/main\n  "listings": []\n}\n';
+
+  withRepo(conflicted, (config, file) => {
+    assert.throws(() => store.saveListings([CARD], ['29710'], config), /listings\.json is not valid JSON/);
+    assert.throws(() => store.saveListings([CARD], ['29710'], { ...config, saveMode: 'replace' }), /listings\.json is not valid JSON/);
+    assert.equal(fs.readFileSync(file, 'utf8'), conflicted);
+  });
+});
+
+test('a listings.json without a listings array stops the save too', () => {
+  withRepo('{ "lastUpdated": "2026-03-09T00:00:00Z" }', (config) => {
+    assert.throws(() => store.loadExistingData(config), /has no "listings" array/);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Selector doctor - matched selectors, empty fields and drift against the saved pages
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseHTML } = require('linkedom');
+const doctor = require('../lib/selector-doctor');
+const realtor = require('../lib/realtor');
+const gear = require('../gear-hunt/extractors');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'pages');
+const fixturePath = (name) => path.join(FIXTURES, name);
+const fixtureHtml = (name) => fs.readFileSync(fixturePath(name), 'utf8');
+
+// A temp directory removed after fn, however it ends
+async function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-doctor-'));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('reports the matched card selector, per-selector field counts and empty fields per card', () => {
+  const { document } = parseHTML(fixtureHtml('realtor-search.html'));
+  const diagnosis = doctor.diagnosePage(document, realtor.SELECTORS, false);
+
+  assert.equal(diagnosis.cards.count, 3);
+  assert.equal(diagnosis.cards.matched, '[data-testid="property-card"]');
+  assert.deepEqual(diagnosis.cards.selectors.map(s => [s.selector, s.cards, s.onPage]), [
+    ['[data-testid="property-card"]', 3, 3],
+    ['.property-card', 0, 0],
+    ['[data-selenium="property-card"]', 0, 0],
+    ['[class*="property-card"]', 0, 2]
+  ]);
+  assert.deepEqual(diagnosis.fields.beds, {
+    selectors: [
+      { selector: '[data-testid="bed"]', cards: 0 },
+      { selector: '[data-testid*="bed"]', cards: 2 },
+      { selector: '.beds', cards: 0 },
+      { selector: '.property-beds', cards: 0 }
+    ],
+    matched: '[data-testid*="bed"]',
+    empty: 1
+  });
+  assert.deepEqual(diagnosis.perCard.map(c => c.empty), [
+    [],
+    ['sqft', 'imageUrl'],
+    ['url', 'beds', 'baths', 'sqft', 'address', 'imageUrl']
+  ]);
+});
+
+test('a first-match-only list reports the selector the extractor used', () => {
+  const { document } = parseHTML(fixtureHtml('reverb-search.html'));
+  const diagnosis = doctor.diagnosePage(document, gear.SELECTORS.reverb, false);
+
+  assert.equal(diagnosis.cards.matched, '[role="listitem"]');
+  assert.equal(diagnosis.cards.count, 3);
+  // .grid-card is on the page but never used once [role="listitem"] matched
+  assert.deepEqual(diagnosis.cards.selectors[1], { selector: '.grid-card', onPage: 1, cards: 0 });
+});
+
+test('partly empty fields are warnings, not drift', () => {
+  const { document } = parseHTML(fixtureHtml('craigslist-search.html'));
+  const diagnosis = doctor.diagnosePage(document, gear.SELECTORS.craigslist, false);
+
+  assert.deepEqual(doctor.findDrift(diagnosis, 3, gear.SELECTORS.craigslist), {
+    drift: [],
+    warnings: ['price: empty on 1 of 3 cards', 'location: empty on 1 of 3 cards']
+  });
+});
+
+test('a required field empty on every card is drift', () => {
+  // Realtor renamed the price test ID
+  const html = fixtureHtml('realtor-search.html').replace(/data-testid="price"/g, 'data-testid="list-price-amount"');
+  const { document } = parseHTML(html);
+  const { drift } = doctor.findDrift(doctor.diagnosePage(document, realtor.SELECTORS, false), 2, realtor.SELECTORS);
+
+  assert.deepEqual(drift, ['price: empty on all 3 cards ([data-testid="price"] | .price | .listing-price)']);
+});
+
+test('cards the extractor keeps none of is drift', () => {
+  const { document } = parseHTML(fixtureHtml('ebay-search.html'));
+  const diagnosis = doctor.diagnosePage(document, gear.SELECTORS.ebay, false);
+  assert.deepEqual(doctor.findDrift(diagnosis, 0, gear.SELECTORS.ebay).drift, ['4 cards matched but the extractor kept none of them']);
+});
+
+test('annotating outlines every card with a numbered label', () => {
+  const { document } = parseHTML(fixtureHtml('realtor-search.html'));
+  doctor.diagnosePage(document, realtor.SELECTORS, true);
+
+  assert.deepEqual(
+    Array.from(document.querySelectorAll('.selector-doctor-label')).map(el => el.textContent),
+    ['#1', '#2 empty: sqft, imageUrl', '#3 empty: url, beds, baths, sqft, address, imageUrl']
+  );
+  assert.equal(document.querySelectorAll('.selector-doctor-empty').length, 2);
+  assert.match(document.querySelector('.selector-doctor-banner').textContent, /3 cards via \[data-testid="property-card"\]/);
+});
+
+test('checkPage on a saved page writes the dumps and report; the Kasada block page is not checked', async () => {
+  await withTempDir(async (dir) => {
+    const options = { zip: '29710', outDir: dir, engine: 'saved page' };
+
+    const healthy = await doctor.checkPage('realtor', doctor.openSavedPage(fixturePath('realtor-search.html')), options);
+    assert.equal(healthy.extracted, 2);
+    assert.equal(doctor.exitCode(healthy), doctor.EXIT.OK);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['realtor-annotated.html', 'realtor-report.json', 'realtor.html']);
+    assert.equal(fs.readFileSync(path.join(dir, 'realtor.html'), 'utf8'), fixtureHtml('realtor-search.html'));
+    assert.match(fs.readFileSync(path.join(dir, 'realtor-annotated.html'), 'utf8'), /selector-doctor-label/);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'realtor-report.json'), 'utf8')).cards.count, 3);
+
+    const blocked = await doctor.checkPage('realtor', doctor.openSavedPage(path.join(__dirname, '..', 'debug-page.html')), options);
+    assert.deepEqual(
+      { loaded: blocked.loaded, blockedBy: blocked.blockedBy, cards: blocked.cards.count, drift: blocked.drift },
+      { loaded: false, blockedBy: 'kasada: block message', cards: 0, drift: [] }
+    );
+    assert.equal(doctor.exitCode(blocked), doctor.EXIT.NOT_CHECKED);
+    assert.match(doctor.formatReport(blocked), /The page was blocked \(kasada: block message\) - selectors not checked/);
+
+    // No cards and no challenge is still drift
+    const empty = await doctor.checkPage('realtor', doctor.openSavedPage(fixturePath('realtor-search-empty.html')), options);
+    assert.equal(doctor.exitCode(empty), doctor.EXIT.DRIFT);
+    assert.match(doctor.formatReport(empty), /Selector drift:\n {2}No cards/);
+  });
+});
+
+test('a page that did not load is not checked', async () => {
+  await withTempDir(async (dir) => {
+    const page = { ...doctor.openSavedPage(fixturePath('realtor-search.html')), status: 403 };
+    const report = await doctor.checkPage('realtor', page, { zip: '29710', outDir: dir });
+
+    assert.equal(report.loaded, false);
+    assert.deepEqual(report.drift, []);
+    assert.equal(doctor.exitCode(report), doctor.EXIT.NOT_CHECKED);
+  });
+});
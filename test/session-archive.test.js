@@ -0,0 +1,167 @@
+/**
+ * Session archive - recording a run to HAR and replaying it offline
+ *
+ * The browser engines share the archive code with the fetch engine; these tests use
+ * the fetch engine so they run without Chromium or the network.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const archive = require('../lib/session-archive');
+const { createEngine } = require('../lib/engines');
+const { scrapeZip } = require('../lib/house-hunt');
+const realtor = require('../lib/realtor');
+
+const SEARCH_PAGE = fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', 'realtor-search.html'));
+
+// A temp directory removed after fn, however it ends
+async function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-archive-'));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// A local server: /search serves the Realtor fixture, /old redirects to it
+function startServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/old') {
+      res.writeHead(301, { Location: '/search' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Set-Cookie': ['a=1', 'b=2'] });
+    res.end(SEARCH_PAGE);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('recorder writes HAR entries in arrival order, text bodies as text', async () => {
+  const recorder = archive.createRecorder({ command: 'test' });
+  recorder.add({ method: 'get', url: 'https://example.com/', status: 200, headers: { 'content-type': 'text/html', 'set-cookie': 'a=1\nb=2' } },
+    () => new Promise(resolve => setTimeout(() => resolve(Buffer.from('<p>hi</p>')), 20)));
+  recorder.add({ url: 'https://example.com/logo.png', status: 200, headers: { 'content-type': 'image/png' } },
+    async () => Buffer.from([0x89, 0x50]));
+  recorder.add({ url: 'https://example.com/gone', status: 302, headers: { location: '/' } },
+    async () => { throw new Error('No resource with given identifier'); });
+  recorder.add({ url: 'data:image/gif;base64,R0lGOD', status: 200, headers: {} });
+
+  const har = await recorder.toHar();
+  const [page, logo, redirect] = har.log.entries;
+
+  assert.equal(har.log.version, '1.2');
+  assert.deepEqual(har.log._run, { command: 'test' });
+  assert.equal(har.log.entries.length, 3);
+  assert.equal(page.request.method, 'GET');
+  assert.deepEqual(page.response.content, { size: 9, mimeType: 'text/html', text: '<p>hi</p>' });
+  assert.deepEqual(page.response.headers.filter(h => h.name === 'set-cookie').map(h => h.value), ['a=1', 'b=2']);
+  assert.deepEqual(logo.response.content, { size: 2, mimeType: 'image/png', text: 'iVA=', encoding: 'base64' });
+  assert.equal(redirect.response.redirectURL, '/');
+  assert.equal(redirect.response.content.text, undefined);
+});
+
+test('replayer serves repeats in recorded order, then repeats the last, and refuses the rest', async () => {
+  const recorder = archive.createRecorder();
+  for (const body of ['first', 'second']) {
+    recorder.add({ url: 'https://example.com/api', status: 200, headers: { 'content-type': 'application/json', 'content-length': '5' } },
+      async () => Buffer.from(body));
+  }
+  const replayer = archive.createReplayer(await recorder.toHar());
+
+  const bodies = [1, 2, 3].map(() => replayer.match('GET', 'https://example.com/api').body.toString());
+  assert.deepEqual(bodies, ['first', 'second', 'second']);
+  assert.deepEqual(replayer.match('GET', 'https://example.com/api').headers, { 'content-type': ['application/json'] });
+  assert.equal(replayer.match('POST', 'https://example.com/api'), null);
+  assert.equal(replayer.match('GET', 'https://example.com/other'), null);
+  assert.deepEqual(replayer.misses, ['POST https://example.com/api', 'GET https://example.com/other']);
+});
+
+test('fetch engine records a run and replays it without the server', async () => {
+  await withTempDir(async (dir) => {
+    const file = path.join(dir, 'run.har');
+    const server = await startServer();
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    let recorded;
+    try {
+      const engine = await createEngine('fetch', { record: file, sessionMeta: { command: 'test' } });
+      const page = await engine.open(`${base}/old`);
+      recorded = { status: page.status, url: page.url, cards: await page.evaluate(realtor.extractSearchCards, '29710', realtor.SELECTORS) };
+      await page.close();
+      await engine.close();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    const har = archive.loadArchive(file);
+    assert.equal(har.log.entries.length, 1);
+    assert.deepEqual(har.log.entries[0].response.headers.filter(h => h.name === 'set-cookie').map(h => h.value), ['a=1', 'b=2']);
+
+    const engine = await createEngine('fetch', { replay: file });
+    const page = await engine.open(`${base}/old`);
+    assert.deepEqual(
+      { status: page.status, url: page.url, cards: await page.evaluate(realtor.extractSearchCards, '29710', realtor.SELECTORS) },
+      recorded
+    );
+    assert.equal(recorded.url, `${base}/search`);
+    assert.equal(recorded.cards.length, 2);
+    await assert.rejects(engine.open(`${base}/not-recorded`), /Not in the session archive/);
+    await engine.close();
+  });
+});
+
+test('scrapeZip reproduces a recorded Realtor search offline', async () => {
+  await withTempDir(async (dir) => {
+    const file = path.join(dir, 'realtor.har');
+    const config = { bedsMin: 3, bedsMax: 4, priceMax: 400000 };
+    const url = realtor.searchUrl('29710', config);
+
+    const recorder = archive.createRecorder();
+    recorder.add({ url, status: 200, headers: { 'content-type': 'text/html' } }, async () => SEARCH_PAGE);
+    await recorder.save(file);
+
+    const engine = await createEngine('fetch', { replay: file });
+    const runs = [];
+    for (let i = 0; i < 2; i++) {
+      runs.push(await scrapeZip(engine, realtor, '29710', config, () => {}));
+    }
+    await engine.close();
+
+    assert.deepEqual(runs[0], runs[1]);
+    const { listings, ...search } = runs[0];
+    assert.deepEqual(search, {
+      source: 'realtor',
+      zip: '29710',
+      url,
+      httpStatus: 200,
+      count: 2,
+      pages: 1,
+      // Page 1 links to a page 2; maxPages defaults to one page
+      complete: false,
+      empty: false,
+      blocked: false,
+      blockedBy: null,
+      retries: 0,
+      timedOut: false,
+      error: null
+    });
+    assert.deepEqual(listings.map(l => l.id), ['realtor-M9123456789', 'realtor-M9876543210']);
+  });
+});
+
+test('a missing or malformed archive is an error', async () => {
+  await withTempDir(async (dir) => {
+    assert.throws(() => archive.loadArchive(path.join(dir, 'missing.har')), /No session archive/);
+    fs.writeFileSync(path.join(dir, 'bad.har'), '{}');
+    assert.throws(() => archive.loadArchive(path.join(dir, 'bad.har')), /not a HAR file/);
+    assert.throws(() => archive.openSession({ record: 'a.har', replay: 'b.har' }), /not both/);
+  });
+});